@@ -0,0 +1,89 @@
+//@ts-check
+
+// Rollouts per second of runMonteCarlo on the built-in games and on a long
+// synthetic game, where reads of keys set at the start of the game used to
+// walk the whole history.  Reports the best of a few runs, as timings on a
+// busy machine vary a lot.  Run with `npm run bench`.
+
+import { Engine, runMonteCarlo } from '../game/engine.js';
+import * as ttt from '../game/ttt-game.js';
+import * as modulo from '../game/modulo-game.js';
+
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+/** @typedef {import('../game/engine.js').GameState} GameState */
+
+const TARGET = 200;
+/** Timed runs per game and mode; the best one is reported. */
+const RUNS = 3;
+
+/**
+ * Two players add 1, 2 or 3 to their own total; the first to reach TARGET
+ * wins.  A random game lasts about 200 moves.
+ */
+/** @implements {GameState} */
+class RaceStart {
+  getOptions() { return []; }
+
+  /**
+   * @param {string|null} input
+   * @param {GameContext} context
+   * @returns {GameState}
+   */
+  processOption(input, context) {
+    context.set('target', TARGET);
+    context.set('total1', 0);
+    context.set('total2', 0);
+    context.setActivePlayer(1);
+    return new RaceTurn();
+  }
+}
+
+/** @implements {GameState} */
+class RaceTurn {
+  getOptions() { return ['1', '2', '3']; }
+
+  /**
+   * @param {string|null} input
+   * @param {GameContext} context
+   * @returns {GameState|null}
+   */
+  processOption(input, context) {
+    const player = context.getLastActivePlayer();
+    const total = context.get(`total${player}`) + parseInt(input || '1');
+    context.set(`total${player}`, total);
+    if (total >= context.get('target')) {
+      context.setWinner(player);
+      return null;
+    }
+    context.setActivePlayer(3 - player);
+    return new RaceTurn();
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {() => GameState} createStartState
+ * @param {string[]} setupMoves
+ * @param {number} simulations
+ */
+function bench(name, createStartState, setupMoves, simulations) {
+  const engine = new Engine();
+  engine.initGame(createStartState(), 1);
+  setupMoves.forEach(move => engine.transition(move));
+
+  for (const keepHistory of [true, false]) {
+    runMonteCarlo(engine, Math.ceil(simulations / 10), { seed: 1, keepHistory }); // Warm up.
+    let best = 0;
+    for (let run = 0; run < RUNS; run++) {
+      const start = performance.now();
+      runMonteCarlo(engine, simulations, { seed: 1, keepHistory });
+      best = Math.max(best, simulations / ((performance.now() - start) / 1000));
+    }
+    const mode = keepHistory ? 'with history' : 'lightweight';
+    console.log(`${name.padEnd(12)} ${mode.padEnd(13)} ${Math.round(best).toString().padStart(8)} rollouts/s`);
+  }
+}
+
+bench('tic-tac-toe', () => new ttt.StartState(), [], 20000);
+bench('modulo (4p)', () => new modulo.StartState(), ['4'], 20000);
+bench('race', () => new RaceStart(), [], 2000);
@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+//@ts-check
+
+import { runCli } from '../game/cli.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
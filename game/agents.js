@@ -0,0 +1,196 @@
+//@ts-check
+
+import { determinize, runOptionMonteCarlo } from './engine.js';
+import { mergeStats } from './outcome.js';
+import { runMcts } from './mcts.js';
+import { Random } from './random.js';
+
+/** @typedef {import('./engine.js').GameContext} GameContext */
+/** @typedef {import('./engine.js').GameState} GameState */
+/** @typedef {import('./engine.js').Position} Position */
+/** @typedef {import('./mcts.js').MctsOptions} MctsOptions */
+/** @typedef {import('./outcome.js').SimulationStats} SimulationStats */
+
+/**
+ * A computer player.  Agents get their own random generator so that thinking
+ * never consumes the game's random numbers; a recorded game replays the same
+ * with or without them.
+ * @interface
+ * @typedef {Object} Agent
+ * @property {string} name Shown in the UI and in error messages.
+ * @property {(state: GameState, context: GameContext) => string|Promise<string>} chooseOption
+ *     Returns one of `state.getOptions(context)` for the active player.  The
+ *     context is a PlayerContext: it hides keys the player may not see.
+ *     Search from `determinize(...)` positions rather than `context.node`.
+ */
+
+/**
+ * Positions to search for the player to move: the real one when nothing is
+ * hidden from them, otherwise `count` determinizations of it.  Throws, like
+ * determinize(), if something is hidden and the state has no hook.
+ * @param {GameState} state
+ * @param {GameContext} context
+ * @param {number} count
+ * @param {Random} rng
+ * @returns {Position[]}
+ */
+function searchPositions(state, context, count, rng) {
+  const position = { currentState: state, stateHead: context.node };
+  const player = context.node.activePlayer;
+  if (!context.node.hasHiddenFrom(player)) return [position];
+  return Array.from({ length: count }, () => determinize(position, player, rng));
+}
+
+/**
+ * Picks uniformly among the options.
+ */
+/** @implements {Agent} */
+export class RandomAgent {
+  /**
+   * @param {{seed?: number}} [options]
+   */
+  constructor(options = {}) {
+    this.name = 'Random';
+    this.rng = new Random(options.seed);
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {GameContext} context
+   * @returns {string}
+   */
+  chooseOption(state, context) {
+    const options = state.getOptions(context);
+    return options[this.rng.randInt(0, options.length - 1)];
+  }
+}
+
+/**
+ * Flat Monte Carlo: plays random games after every option (runOptionMonteCarlo)
+ * and picks the one with the best expected score for the active player.  With
+ * hidden information the simulations are spread over several determinizations.
+ */
+/** @implements {Agent} */
+export class MonteCarloAgent {
+  /**
+   * @param {{simulations?: number, determinizations?: number, seed?: number}} [options]
+   *     `simulations` per option, default 200; `determinizations` default 10.
+   */
+  constructor(options = {}) {
+    this.name = 'Monte Carlo';
+    this.simulations = options.simulations || 200;
+    this.determinizations = options.determinizations || 10;
+    this.rng = new Random(options.seed);
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {GameContext} context
+   * @returns {string}
+   */
+  chooseOption(state, context) {
+    const player = context.node.activePlayer;
+    const options = state.getOptions(context);
+    const positions = searchPositions(state, context, this.determinizations, this.rng);
+    const simulations = Math.ceil(this.simulations / positions.length);
+    /** @type {Object<string, SimulationStats>[]} */
+    const runs = [];
+    for (const position of positions) {
+      const results = runOptionMonteCarlo(position, simulations,
+        { seed: this.rng.randInt(0, 0xFFFFFFFF), only: options });
+      if (results) runs.push(results);
+    }
+    if (runs.length === 0) return options[this.rng.randInt(0, options.length - 1)];
+
+    let best = options[0];
+    let bestScore = -Infinity;
+    for (const option of options) {
+      const stats = mergeStats(runs.map(results => results[option]), runs[0][option].seed);
+      const score = stats.expectedScores[player] || 0;
+      if (score > bestScore) {
+        best = option;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Plays the most visited option of a Monte Carlo Tree Search (runMcts).  With
+ * hidden information it searches several determinizations and adds up the
+ * visits.
+ */
+/** @implements {Agent} */
+export class MctsAgent {
+  /**
+   * @param {MctsOptions & {determinizations?: number}} [options] Search budget,
+   *     split over 10 determinizations by default; 2000 iterations unless
+   *     `iterations` or `timeLimitMs` is given.
+   */
+  constructor(options = {}) {
+    this.name = 'MCTS';
+    const { determinizations = 10, ...mcts } = options;
+    this.options = mcts.iterations || mcts.timeLimitMs ? mcts : { ...mcts, iterations: 2000 };
+    this.determinizations = determinizations;
+    this.rng = new Random(options.seed);
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {GameContext} context
+   * @returns {string}
+   */
+  chooseOption(state, context) {
+    const positions = searchPositions(state, context, this.determinizations, this.rng);
+    const { iterations, timeLimitMs } = this.options;
+    /** @type {Map<string, number>} */
+    const visits = new Map();
+    for (const position of positions) {
+      const result = runMcts(position, {
+        ...this.options,
+        iterations: iterations && Math.ceil(iterations / positions.length),
+        timeLimitMs: timeLimitMs && timeLimitMs / positions.length,
+        seed: this.rng.randInt(0, 0xFFFFFFFF),
+      });
+      if (!result) continue;
+      for (const [option, stats] of Object.entries(result.options)) {
+        visits.set(option, (visits.get(option) || 0) + stats.visits);
+      }
+    }
+
+    let best = null;
+    let bestVisits = -1;
+    for (const [option, count] of visits) {
+      if (count > bestVisits) {
+        best = option;
+        bestVisits = count;
+      }
+    }
+    if (best !== null) return best;
+    const options = state.getOptions(context);
+    return options[this.rng.randInt(0, options.length - 1)];
+  }
+}
+
+/** Seat kinds offered by the UI.  'human' means the keyboard. */
+export const AGENT_KINDS = ['human', 'random', 'montecarlo', 'mcts'];
+
+/**
+ * @param {string} kind One of AGENT_KINDS.
+ * @returns {Agent|null} null for a human seat.
+ */
+export function createAgent(kind) {
+  switch (kind) {
+    case 'human':
+      return null;
+    case 'random':
+      return new RandomAgent();
+    case 'montecarlo':
+      return new MonteCarloAgent();
+    case 'mcts':
+      return new MctsAgent();
+    default:
+      throw new Error(`Unknown agent kind: ${kind}`);
+  }
+}
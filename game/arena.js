@@ -0,0 +1,347 @@
+//@ts-check
+
+import { Engine, GameContext } from './engine.js';
+import { deriveSeed, randomSeed } from './random.js';
+
+/** @typedef {import('./agents.js').Agent} Agent */
+/** @typedef {import('./outcome.js').Outcome} Outcome */
+/** @typedef {import('./registry.js').GameInfo} GameInfo */
+
+/**
+ * A contestant.  A fresh agent is created for every game, from a seed derived
+ * from the tournament seed, so a seeded tournament can be replayed.
+ * @typedef {Object} ArenaEntry
+ * @property {string} name
+ * @property {(seed: number) => Agent} createAgent
+ */
+
+/**
+ * @typedef {Object} TournamentOptions
+ * @property {GameInfo} game E.g. a module's `GAME_INFO`.
+ * @property {ArenaEntry[]} entries At least two contestants, with distinct
+ *     names.
+ * @property {number} gamesPerPairing Games per pair of entries.  Seats swap
+ *     every game, so use an even number to cancel first-player advantage.
+ * @property {string[]} [setupMoves] Moves played before the seats take over.
+ *     Defaults to the game's `setupMoves(2)`, e.g. ['2'] to pick two players
+ *     in the modulo game.
+ * @property {number} [seed] Defaults to a random seed.
+ * @property {number} [maxMoves] Abort a game after this many moves (default 1000).
+ * @property {(progress: {played: number, total: number}) => void} [onProgress]
+ *     Called after every game.
+ */
+
+/**
+ * One played game.  `result` and the W/D/L counts elsewhere are from the point
+ * of view of `first`.
+ * @typedef {Object} ArenaGame
+ * @property {string} first
+ * @property {string} second
+ * @property {number} firstSeat Player id `first` played as (1 or 2).
+ * @property {number} seed Game seed; with `moves` it replays the game.
+ * @property {string[]} moves
+ * @property {'win'|'draw'|'loss'} result
+ * @property {number} score Score of `first`, between 0 and 1.
+ * @property {number} length Number of moves played by the seats.
+ */
+
+/**
+ * @typedef {Object} Standing
+ * @property {string} name
+ * @property {number} games
+ * @property {number} wins
+ * @property {number} draws
+ * @property {number} losses
+ * @property {number} score Points scored: 1 per win, 0.5 per draw.
+ * @property {number} elo Fitted rating; the field averages 1500.
+ * @property {number} eloLow Lower end of the approximate 95% interval.
+ * @property {number} eloHigh Upper end of the approximate 95% interval.
+ */
+
+/**
+ * @typedef {Object} Pairing
+ * @property {string} first
+ * @property {string} second
+ * @property {number} games
+ * @property {number} wins
+ * @property {number} draws
+ * @property {number} losses
+ * @property {number} los Likelihood of superiority: the probability that
+ *     `first` is the stronger entry, given its wins and losses (draws ignored).
+ * @property {number} averageLength
+ */
+
+/**
+ * @typedef {Object} TournamentResult
+ * @property {number} seed
+ * @property {number} gamesPerPairing
+ * @property {number} averageLength Mean number of moves per game.
+ * @property {Standing[]} standings Sorted by rating, best first.
+ * @property {Pairing[]} pairings
+ * @property {ArenaGame[]} games
+ */
+
+const ELO_BASE = 1500;
+const ELO_SCALE = 400 / Math.LN10;
+
+/**
+ * Plays one game between seated agents, without any delay or output.
+ * @param {GameInfo} game
+ * @param {Map<number, Agent>} seats
+ * @param {number} seed
+ * @param {string[]} setupMoves
+ * @param {number} maxMoves
+ * @returns {Promise<{outcome: Outcome|null, moves: string[], length: number}>}
+ */
+export async function playAgentGame(game, seats, seed, setupMoves, maxMoves) {
+  const engine = new Engine();
+  await engine.initGame(game.createStartState(), seed);
+  for (const move of setupMoves) await engine.transition(move);
+
+  let length = 0;
+  while (engine.currentState && engine.stateHead) {
+    const player = engine.stateHead.activePlayer;
+    const agent = seats.get(player);
+    if (!agent) {
+      throw new Error(`No agent seated for player ${player}`);
+    }
+    if (length >= maxMoves) {
+      throw new Error(`Game did not finish within ${maxMoves} moves`);
+    }
+
+    const context = new GameContext(engine.stateHead, () => { }).forPlayer(player);
+    const choice = await agent.chooseOption(engine.currentState, context);
+    if (!(await engine.currentState.getOptions(context)).includes(choice)) {
+      throw new Error(`${agent.name} chose an invalid option: ${choice}`);
+    }
+    await engine.transition(choice);
+    length++;
+  }
+
+  const outcome = engine.stateHead ? engine.stateHead.outcome : null;
+  return { outcome, moves: engine.getMoveHistory(), length };
+}
+
+/**
+ * Plays every pair of entries against each other in two-player games,
+ * swapping seats between games, and rates the entries.
+ * @param {TournamentOptions} options
+ * @returns {Promise<TournamentResult>}
+ */
+export async function runTournament(options) {
+  const { game, entries, gamesPerPairing, maxMoves = 1000, onProgress } = options;
+  if (entries.length < 2) {
+    throw new Error('A tournament needs at least two entries');
+  }
+  const names = new Set();
+  for (const { name } of entries) {
+    if (names.has(name)) throw new Error(`Two entries are named ${name}`);
+    names.add(name);
+  }
+  const setupMoves = options.setupMoves ?? (game.setupMoves ? game.setupMoves(2) : []);
+  const seed = options.seed ?? randomSeed();
+
+  /** @type {[number, number][]} */
+  const pairs = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      pairs.push([i, j]);
+    }
+  }
+  const total = pairs.length * gamesPerPairing;
+
+  /** @type {ArenaGame[]} */
+  const games = [];
+  for (const [i, j] of pairs) {
+    for (let k = 0; k < gamesPerPairing; k++) {
+      const gameSeed = deriveSeed(seed, games.length);
+      const firstSeat = k % 2 === 0 ? 1 : 2;
+      const secondSeat = 3 - firstSeat;
+      const seats = new Map([
+        [firstSeat, entries[i].createAgent(deriveSeed(gameSeed, 1))],
+        [secondSeat, entries[j].createAgent(deriveSeed(gameSeed, 2))],
+      ]);
+
+      const { outcome, moves, length } = await playAgentGame(game, seats, gameSeed, setupMoves, maxMoves);
+      const score = scoreFor(outcome, firstSeat, secondSeat);
+      games.push({
+        first: entries[i].name,
+        second: entries[j].name,
+        firstSeat,
+        seed: gameSeed,
+        moves,
+        result: score > 0.5 ? 'win' : score < 0.5 ? 'loss' : 'draw',
+        score,
+        length,
+      });
+      if (onProgress) onProgress({ played: games.length, total });
+    }
+  }
+
+  return {
+    seed,
+    gamesPerPairing,
+    averageLength: average(games.map(g => g.length)),
+    standings: computeStandings(entries.map(e => e.name), games),
+    pairings: pairs.map(([i, j]) => summarizePairing(entries[i].name, entries[j].name, games)),
+    games,
+  };
+}
+
+/**
+ * Score of the first seat on a 0..1 scale: its share of the two seats' payoffs,
+ * so a win is 1, a draw 0.5 and a game without any outcome also 0.5.
+ * @param {Outcome|null} outcome
+ * @param {number} firstSeat
+ * @param {number} secondSeat
+ * @returns {number}
+ */
+function scoreFor(outcome, firstSeat, secondSeat) {
+  if (!outcome) return 0.5;
+  const a = outcome.scores[firstSeat] || 0;
+  const b = outcome.scores[secondSeat] || 0;
+  return a + b > 0 ? a / (a + b) : 0.5;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+/**
+ * Error function (Abramowitz and Stegun 7.1.26, accurate to about 1e-7).
+ * @param {number} x
+ * @returns {number}
+ */
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+}
+
+/**
+ * @param {string} first
+ * @param {string} second
+ * @param {ArenaGame[]} games
+ * @returns {Pairing}
+ */
+function summarizePairing(first, second, games) {
+  const played = games.filter(g => g.first === first && g.second === second);
+  const wins = played.filter(g => g.result === 'win').length;
+  const losses = played.filter(g => g.result === 'loss').length;
+  return {
+    first,
+    second,
+    games: played.length,
+    wins,
+    draws: played.filter(g => g.result === 'draw').length,
+    losses,
+    los: wins + losses > 0 ? 0.5 * (1 + erf((wins - losses) / Math.sqrt(2 * (wins + losses)))) : 0.5,
+    averageLength: average(played.map(g => g.length)),
+  };
+}
+
+/**
+ * Fits Elo ratings to all games by maximum likelihood (Newton iterations on
+ * the logistic model).  Every entry also gets one virtual draw against an
+ * average opponent, which keeps ratings finite for perfect scores.  The
+ * intervals are +-1.96 standard errors from the curvature of the likelihood.
+ * @param {string[]} names
+ * @param {ArenaGame[]} games
+ * @returns {Standing[]}
+ */
+function computeStandings(names, games) {
+  const index = new Map(names.map((name, i) => [name, i]));
+  const pairs = games.map(g => ({
+    a: /** @type {number} */ (index.get(g.first)),
+    b: /** @type {number} */ (index.get(g.second)),
+    score: g.score,
+  }));
+  /** @param {number} diff @returns {number} */
+  const expected = (diff) => 1 / (1 + Math.exp(-diff / ELO_SCALE));
+
+  const ratings = names.map(() => 0);
+  let information = names.map(() => 0);
+  for (let iteration = 0; iteration < 100; iteration++) {
+    // The virtual draw against an opponent rated 0.
+    const gradient = ratings.map(r => 0.5 - expected(r));
+    information = ratings.map(r => expected(r) * (1 - expected(r)));
+    for (const { a, b, score } of pairs) {
+      const e = expected(ratings[a] - ratings[b]);
+      gradient[a] += score - e;
+      gradient[b] -= score - e;
+      information[a] += e * (1 - e);
+      information[b] += e * (1 - e);
+    }
+    ratings.forEach((r, i) => { ratings[i] = r + ELO_SCALE * gradient[i] / information[i]; });
+    const mean = average(ratings);
+    ratings.forEach((r, i) => { ratings[i] = r - mean; });
+  }
+
+  return names.map((name, i) => {
+    const mine = games.filter(g => g.first === name || g.second === name);
+    /** @param {ArenaGame} g */
+    const scoreOf = (g) => (g.first === name ? g.score : 1 - g.score);
+    const elo = ELO_BASE + ratings[i];
+    const margin = 1.96 * ELO_SCALE / Math.sqrt(information[i]);
+    return {
+      name,
+      games: mine.length,
+      wins: mine.filter(g => scoreOf(g) > 0.5).length,
+      draws: mine.filter(g => scoreOf(g) === 0.5).length,
+      losses: mine.filter(g => scoreOf(g) < 0.5).length,
+      score: mine.reduce((sum, g) => sum + scoreOf(g), 0),
+      elo,
+      eloLow: elo - margin,
+      eloHigh: elo + margin,
+    };
+  }).sort((a, b) => b.elo - a.elo);
+}
+
+/**
+ * @param {TournamentResult} result
+ * @returns {string}
+ */
+export function tournamentToJson(result) {
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * @param {(string|number)[][]} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(cell => {
+    const text = typeof cell === 'number' ? String(Math.round(cell * 100) / 100) : cell;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Standings as CSV, one row per entry.
+ * @param {TournamentResult} result
+ * @returns {string}
+ */
+export function standingsToCsv(result) {
+  return toCsv([
+    ['name', 'games', 'wins', 'draws', 'losses', 'score', 'elo', 'elo_low', 'elo_high'],
+    ...result.standings.map(s =>
+      [s.name, s.games, s.wins, s.draws, s.losses, s.score, s.elo, s.eloLow, s.eloHigh]),
+  ]);
+}
+
+/**
+ * Win/draw/loss table as CSV, one row per pairing, from the first entry's view.
+ * @param {TournamentResult} result
+ * @returns {string}
+ */
+export function pairingsToCsv(result) {
+  return toCsv([
+    ['first', 'second', 'games', 'wins', 'draws', 'losses', 'los', 'average_length'],
+    ...result.pairings.map(p => [p.first, p.second, p.games, p.wins, p.draws, p.losses, p.los, p.averageLength]),
+  ]);
+}
@@ -0,0 +1,506 @@
+//@ts-check
+
+// The `game-eval` command: plays games in a terminal and runs the Monte Carlo
+// analyses from a position given as a move list.  bin/game-eval.js calls
+// runCli with the process's arguments and streams.
+
+import path from 'node:path';
+import readline from 'node:readline';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { checkConformance } from './conformance.js';
+import { Engine, GameContext, runMonteCarlo, runOptionMonteCarlo } from './engine.js';
+import { DEFAULT_PORT, GameServer } from './game-server.js';
+import { table, toText } from './output.js';
+import { randomSeed } from './random.js';
+import { getGame, listGames } from './registry.js';
+import { TextRenderer } from './renderer.js';
+import { reviewGame } from './review.js';
+
+/** @typedef {import('./registry.js').GameInfo} GameInfo */
+/** @typedef {import('./renderer.js').Renderer} Renderer */
+/** @typedef {import('./outcome.js').Outcome} Outcome */
+
+/**
+ * Where the command reads and writes; the process's streams by default.
+ * @typedef {Object} CliIO
+ * @property {NodeJS.ReadableStream} stdin
+ * @property {{write: (text: string) => any}} stdout
+ * @property {{write: (text: string) => any}} stderr
+ */
+
+/**
+ * The parsed command-line options.
+ * @typedef {Object} CliOptions
+ * @property {number|undefined} players
+ * @property {string[]} moves
+ * @property {number} n
+ * @property {number} seed
+ * @property {boolean} json
+ * @property {boolean} solve
+ * @property {number|undefined} depth
+ * @property {boolean} uniform
+ */
+
+const USAGE = `Usage: game-eval <command> <game> [options]
+
+Commands:
+  play <game>       Play in the terminal.  Type an option to play it, or
+                    :undo, :redo, :moves, :help, :quit.
+  simulate <game>   Play random games from the position and report the results.
+  options <game>    Play random games after each option of the player to move.
+  review <game>     Evaluate every move of --moves and mark the mistakes.
+  check <game>      Play random games and report where the game breaks the
+                    engine's assumptions.  Exits with 1 on errors.
+  serve             Host network games for the browser page until stopped
+                    with Ctrl+C.  Needs no game: rooms pick their own.
+
+<game> is a registered game (${listGames().map(game => game.id).join(', ')}) or the path
+of a module exporting GAME_INFO or StartState.
+
+Options:
+  --players <n>     Set the game up for n players, for games that ask.
+  --moves <a,b,..>  Play these options first.
+  --n <count>       Random games to play, per option for 'options' (default 1000).
+  --seed <seed>     Seed for the game and the random games (default: random).
+  --solve           Review with the exact solver instead of random games.
+  --depth <steps>   Cut random games off after this many steps and score them
+                    with the game's evaluate hook (simulate and options).
+  --uniform         Pick options uniformly at random, ignoring the game's
+                    rollout policy (simulate and options).
+  --json            Print the results as JSON.
+  --port <port>     Port for 'serve' (default ${DEFAULT_PORT}).
+  --host <host>     Interface for 'serve' (default localhost; 0.0.0.0 for
+                    other machines).
+  -h, --help        Show this help.`;
+
+const DEFAULT_GAMES = 1000;
+
+const PLAY_HELP = `Type an option (or a prefix that only one option starts with) to play it.
+  :undo, :u    Take back the last move.
+  :redo, :r    Play the move taken back again.
+  :moves       Show the moves played so far.
+  :quit, :q    Leave the game.`;
+
+/**
+ * Runs the command and returns the exit code.  Errors are reported on stderr.
+ * @param {string[]} args Arguments after the program name.
+ * @param {CliIO} [io]
+ * @returns {Promise<number>}
+ */
+export async function runCli(args, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        players: { type: 'string' },
+        moves: { type: 'string' },
+        n: { type: 'string' },
+        seed: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        solve: { type: 'boolean', default: false },
+        depth: { type: 'string' },
+        uniform: { type: 'boolean', default: false },
+        port: { type: 'string' },
+        host: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+    const [command, gameName, ...extra] = positionals;
+    if (values.help || !command) {
+      io.stdout.write(USAGE + '\n');
+      return values.help ? 0 : 1;
+    }
+    if (command === 'serve') {
+      if (gameName) throw new Error(`Unexpected argument: ${gameName}`);
+      const port = values.port === undefined ? DEFAULT_PORT : parseInteger(values.port, '--port', 0);
+      await serve(port, values.host ?? 'localhost', io);
+      return 0;
+    }
+    if (!['play', 'simulate', 'options', 'review', 'check'].includes(command)) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    if (values.port !== undefined || values.host !== undefined) {
+      throw new Error('--port and --host are for serve');
+    }
+    if (!gameName) throw new Error(`${command} needs a game`);
+    if (extra.length > 0) throw new Error(`Unexpected argument: ${extra[0]}`);
+
+    const game = await loadGame(gameName);
+    /** @type {CliOptions} */
+    const options = {
+      players: values.players === undefined ? undefined : parseInteger(values.players, '--players', 1),
+      moves: values.moves ? values.moves.split(',').map(move => move.trim()) : [],
+      n: values.n === undefined ? DEFAULT_GAMES : parseInteger(values.n, '--n', 1),
+      seed: values.seed === undefined ? randomSeed() : parseInteger(values.seed, '--seed', 0),
+      json: values.json,
+      solve: values.solve,
+      depth: values.depth === undefined ? undefined : parseInteger(values.depth, '--depth', 0),
+      uniform: values.uniform,
+    };
+
+    if (command === 'play') {
+      await play(game, options, io);
+    } else if (command === 'simulate') {
+      await simulate(game, options, io);
+    } else if (command === 'review') {
+      await review(game, options, io);
+    } else if (command === 'check') {
+      return check(game, gameName, options, io);
+    } else {
+      await compareOptions(game, options, io);
+    }
+    return 0;
+  } catch (err) {
+    io.stderr.write(`game-eval: ${err instanceof Error ? err.message : err}\n`);
+    return 1;
+  }
+}
+
+/**
+ * @param {string} value
+ * @param {string} name
+ * @param {number} min
+ * @returns {number}
+ */
+function parseInteger(value, name, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`${name} must be a whole number of at least ${min}, not '${value}'`);
+  }
+  return n;
+}
+
+/**
+ * Finds a registered game by id, or imports a game module from a path.
+ * @param {string} name
+ * @returns {Promise<GameInfo>}
+ */
+async function loadGame(name) {
+  const registered = getGame(name);
+  if (registered) return registered;
+  if (!/[./\\]/.test(name)) {
+    throw new Error(`Unknown game: ${name} (registered: ${listGames().map(game => game.id).join(', ')})`);
+  }
+
+  const module = await import(pathToFileURL(path.resolve(name)).href);
+  if (module.GAME_INFO) return module.GAME_INFO;
+  if (!module.StartState) throw new Error(`${name} exports neither GAME_INFO nor StartState`);
+  const id = path.basename(name, path.extname(name));
+  return {
+    id,
+    title: id,
+    description: '',
+    minPlayers: 1,
+    maxPlayers: Infinity,
+    createStartState: () => new module.StartState(),
+  };
+}
+
+/**
+ * Starts the game and plays the setup for `--players`, then `--moves`.
+ * @param {GameInfo} game
+ * @param {CliOptions} options
+ * @param {Renderer} [renderer]
+ * @returns {Promise<Engine>}
+ */
+async function setUp(game, options, renderer) {
+  const engine = new Engine(renderer);
+  await engine.initGame(game.createStartState(), options.seed);
+  for (const [i, move] of [...playerSetup(game, options.players), ...options.moves].entries()) {
+    const legal = await legalOptions(engine);
+    if (!legal.includes(move)) {
+      const where = engine.currentState ? `options: ${legal.join(' ')}` : 'the game is over';
+      throw new Error(`Move ${i + 1} (${move}) is not an option here; ${where}`);
+    }
+    await engine.transition(move);
+  }
+  return engine;
+}
+
+/**
+ * @param {GameInfo} game
+ * @param {number|undefined} players
+ * @returns {string[]}
+ */
+function playerSetup(game, players) {
+  if (players === undefined) return [];
+  if (players < game.minPlayers || players > game.maxPlayers) {
+    throw new Error(`${game.title} is for ${game.minPlayers}-${game.maxPlayers} players`);
+  }
+  if (game.setupMoves) return game.setupMoves(players);
+  if (game.minPlayers === game.maxPlayers) return [];
+  throw new Error(`${game.title} does not support --players; pass the setup with --moves`);
+}
+
+/**
+ * @param {Engine} engine
+ * @returns {Promise<string[]>}
+ */
+async function legalOptions(engine) {
+  if (!engine.currentState || !engine.stateHead) return [];
+  return engine.currentState.getOptions(new GameContext(engine.stateHead, () => { }));
+}
+
+/**
+ * "Tic-Tac-Toe after 5,1" or "Tic-Tac-Toe from the start".
+ * @param {GameInfo} game
+ * @param {Engine} engine
+ * @returns {string}
+ */
+function describePosition(game, engine) {
+  const moves = engine.getMoveHistory();
+  return moves.length > 0 ? `${game.title} after ${moves.join(',')}` : `${game.title} from the start`;
+}
+
+/**
+ * @param {number} count
+ * @param {number} total
+ * @returns {string}
+ */
+function percent(count, total) {
+  return total > 0 ? `${(100 * count / total).toFixed(1)}%` : '-';
+}
+
+/**
+ * @param {GameInfo} game
+ * @param {CliOptions} options
+ * @param {CliIO} io
+ */
+async function simulate(game, options, io) {
+  const engine = await setUp(game, options);
+  const stats = runMonteCarlo(engine, options.n, { seed: options.seed, ...rolloutOptions(options) });
+  if (!stats) throw new Error('The game is already over');
+
+  if (options.json) {
+    io.stdout.write(JSON.stringify({ game: game.id, moves: engine.getMoveHistory(), stats }, null, 2) + '\n');
+    return;
+  }
+  const players = [...new Set([...Object.keys(stats.wins), ...Object.keys(stats.expectedScores)])]
+    .sort((a, b) => parseInt(a) - parseInt(b));
+  const rows = players.map(player => [
+    player,
+    String(stats.wins[player] || 0),
+    percent(stats.wins[player] || 0, stats.games),
+    (stats.expectedScores[player] || 0).toFixed(3),
+  ]);
+  io.stdout.write([
+    `${describePosition(game, engine)}: ${stats.games} random games, seed ${stats.seed}`,
+    toText(table(rows, { header: ['Player', 'Wins', 'Win %', 'Expected score'] })),
+    `Draws: ${stats.draws} (${percent(stats.draws, stats.games)}), unfinished: ${stats.unfinished}` +
+      (stats.evaluated > 0 ? `, evaluated: ${stats.evaluated}` : ''),
+  ].join('\n') + '\n');
+}
+
+/**
+ * The rollout choices of --depth and --uniform, as simulation options.
+ * @param {CliOptions} options
+ * @returns {import('./engine.js').SimulationOptions}
+ */
+function rolloutOptions(options) {
+  return {
+    ...(options.depth !== undefined ? { maxDepth: options.depth } : {}),
+    ...(options.uniform ? { rolloutPolicy: null } : {}),
+  };
+}
+
+/**
+ * @param {GameInfo} game
+ * @param {CliOptions} options
+ * @param {CliIO} io
+ */
+async function compareOptions(game, options, io) {
+  const engine = await setUp(game, options);
+  if (!engine.currentState) throw new Error('The game is already over');
+  const player = engine.getActivePlayer();
+  const results = runOptionMonteCarlo(engine, options.n, { seed: options.seed, ...rolloutOptions(options) });
+  if (!results) throw new Error('No player is to move here');
+
+  if (options.json) {
+    const output = { game: game.id, moves: engine.getMoveHistory(), player, seed: options.seed, options: results };
+    io.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    return;
+  }
+  const ranked = Object.entries(results)
+    .sort(([, a], [, b]) => (b.expectedScores[player] || 0) - (a.expectedScores[player] || 0));
+  const rows = ranked.map(([option, stats]) => [
+    option,
+    String(stats.wins[player] || 0),
+    String(stats.draws),
+    (stats.expectedScores[player] || 0).toFixed(3),
+  ]);
+  io.stdout.write([
+    `${describePosition(game, engine)}: player ${player} to move, ${options.n} random games per option, seed ${options.seed}`,
+    toText(table(rows, { header: ['Option', 'Wins', 'Draws', 'Expected score'] })),
+  ].join('\n') + '\n');
+}
+
+/**
+ * @param {GameInfo} game
+ * @param {CliOptions} options
+ * @param {CliIO} io
+ */
+async function review(game, options, io) {
+  const engine = await setUp(game, options);
+  const result = await reviewGame(engine, {
+    evaluator: options.solve ? 'solver' : 'montecarlo',
+    simulations: options.n,
+    seed: options.seed,
+  });
+
+  if (options.json) {
+    io.stdout.write(JSON.stringify({ game: game.id, moves: engine.getMoveHistory(), review: result }, null, 2) + '\n');
+    return;
+  }
+  const rows = result.moves.map(move => [
+    String(move.index + 1),
+    String(move.player),
+    move.move,
+    move.value.toFixed(3),
+    `${move.bestOptions.join(',')} (${move.bestValue.toFixed(3)})`,
+    move.loss.toFixed(3),
+    move.annotation === 'good' ? '' : move.annotation,
+  ]);
+  const how = options.solve ? 'solver' : `${options.n} random games per option, seed ${result.seed}`;
+  io.stdout.write([
+    `${describePosition(game, engine)}: review (${how})`,
+    toText(table(rows, { header: ['#', 'Player', 'Played', 'Value', 'Best', 'Loss', 'Note'] })),
+  ].join('\n') + '\n');
+}
+
+/**
+ * Returns the exit code: 1 if an error was found, warnings pass.
+ * @param {GameInfo} game
+ * @param {string} gameName The game as named on the command line, for the
+ *     replay hint.
+ * @param {CliOptions} options
+ * @param {CliIO} io
+ * @returns {number}
+ */
+function check(game, gameName, options, io) {
+  if (options.moves.length > 0 || options.players !== undefined) {
+    throw new Error('check always starts from the beginning; drop --moves and --players');
+  }
+  const report = checkConformance(game.createStartState, { games: options.n, seed: options.seed });
+  const failed = report.violations.some(violation => violation.severity === 'error');
+
+  if (options.json) {
+    io.stdout.write(JSON.stringify({ game: game.id, ...report }, null, 2) + '\n');
+    return failed ? 1 : 0;
+  }
+  const lines = [`${game.title}: ${report.games} random games, ${report.steps} steps, seed ${report.seed}`];
+  if (report.violations.length === 0) lines.push('No problems found.');
+  for (const violation of report.violations) {
+    const replay = `--seed ${violation.seed}` + (violation.moves.length > 0 ? ` --moves ${violation.moves.join(',')}` : '');
+    lines.push(
+      `${violation.severity} ${violation.kind} (${violation.count}x): ${violation.message}`,
+      `  replay with: play ${gameName} ${replay}`,
+    );
+  }
+  io.stdout.write(lines.join('\n') + '\n');
+  return failed ? 1 : 0;
+}
+
+/**
+ * Runs a GameServer until the process is interrupted.
+ * @param {number} port
+ * @param {string} host
+ * @param {CliIO} io
+ */
+async function serve(port, host, io) {
+  const server = new GameServer();
+  const bound = await server.listen(port, host);
+  io.stdout.write(`Serving ${listGames().map(game => game.id).join(', ')} on ws://${host}:${bound}\n` +
+    'Join from the page\'s Network panel; stop with Ctrl+C.\n');
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await server.close();
+}
+
+/**
+ * @param {Outcome|null} outcome
+ * @returns {string}
+ */
+function describeOutcome(outcome) {
+  if (!outcome) return 'no result';
+  if (outcome.draw) return 'draw';
+  if (outcome.winners.length === 1) return `player ${outcome.winners[0]} wins`;
+  return `players ${outcome.winners.join(', ')} win`;
+}
+
+/**
+ * Plays the game over stdin and stdout until it is quit or stdin ends.
+ * @param {GameInfo} game
+ * @param {CliOptions} options
+ * @param {CliIO} io
+ */
+async function play(game, options, io) {
+  if (options.json) throw new Error('play does not support --json');
+  const write = (/** @type {string} */ text) => io.stdout.write(text + '\n');
+  const engine = await setUp(game, options, new TextRenderer(write));
+
+  const prompt = async () => {
+    if (!engine.currentState) {
+      const outcome = engine.stateHead ? engine.stateHead.outcome : null;
+      io.stdout.write(`Game over: ${describeOutcome(outcome)}. Type :undo or :quit.\n> `);
+      return;
+    }
+    const player = engine.getActivePlayer();
+    io.stdout.write(`${player === -1 ? '' : `Player ${player} `}[${(await legalOptions(engine)).join(' ')}] > `);
+  };
+
+  const rl = readline.createInterface({ input: io.stdin, terminal: false });
+  await prompt();
+  for await (const line of rl) {
+    const command = line.trim();
+    if (command === ':quit' || command === ':q') break;
+    if (command === ':undo' || command === ':u') {
+      await undo(engine, write);
+    } else if (command === ':redo' || command === ':r') {
+      if (!await engine.redo()) write('Nothing to redo.');
+    } else if (command === ':moves') {
+      write(engine.getMoveHistory().join(',') || 'No moves yet.');
+    } else if (command === ':help') {
+      write(PLAY_HELP);
+    } else if (command.startsWith(':')) {
+      write(`Unknown command: ${command} (type :help)`);
+    } else if (command) {
+      const legal = await legalOptions(engine);
+      const matches = legal.includes(command) ? [command] : legal.filter(option => option.startsWith(command));
+      if (matches.length === 1) {
+        await engine.transition(matches[0]);
+      } else {
+        write(matches.length === 0 ? `Not an option: ${command}` : `Ambiguous: ${matches.join(' ')}`);
+      }
+    }
+    await prompt();
+  }
+  rl.close();
+}
+
+/**
+ * Undoes the last move and prints the output since the move before it again,
+ * since a terminal cannot take back what it printed.
+ * @param {Engine} engine
+ * @param {(text: string) => void} write
+ */
+async function undo(engine, write) {
+  if (engine.getMoveHistory().length === 0) {
+    write('Nothing to undo.');
+    return;
+  }
+  await engine.recursiveUndo();
+  write('-- undone --');
+  /** @type {import('./engine.js').StateNode[]} */
+  const nodes = [];
+  for (let n = engine.stateHead; n; n = n.parent) {
+    nodes.push(n);
+    if (n.chosen) break;
+  }
+  for (const node of nodes.reverse()) {
+    node.outputs.forEach(handle => write(handle.text));
+  }
+}
@@ -0,0 +1,270 @@
+//@ts-check
+
+import { GameContext, StateNode, getChanceOutcomes, sampleChance } from './engine.js';
+import { Random, deriveSeed, randomSeed } from './random.js';
+
+/** @typedef {import('./engine.js').GameState} GameState */
+
+/**
+ * @typedef {'invalid-option'|'duplicate-option'|'ambiguous-option'|'nondeterministic-options'
+ *   |'options-mutate-state'|'invalid-chance'|'exception'|'invalid-state'|'parent-mutation'
+ *   |'non-terminating'|'missing-result'} ViolationKind
+ */
+
+/**
+ * A broken engine assumption.  Errors break play or analysis; warnings make
+ * the game awkward to play, e.g. an option that has to be confirmed with Enter
+ * because another option starts with it.
+ * @typedef {Object} Violation
+ * @property {ViolationKind} kind
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {number} seed Seed of the game it was found in.
+ * @property {string[]} moves The options chosen up to the violation, the
+ *     offending one included.  `playScript(start, moves, { seed })` from
+ *     harness.js replays them.
+ * @property {number} count How many times the same violation was found.
+ */
+
+/**
+ * @typedef {Object} ConformanceOptions
+ * @property {number} [games] Random playthroughs (default 1000).
+ * @property {number} [seed] Seed for the run; each game gets a seed derived
+ *     from it.  Defaults to a random seed, reported with the results.
+ * @property {number} [maxSteps] Steps after which a game counts as
+ *     non-terminating (default 10000).
+ */
+
+/**
+ * @typedef {Object} ConformanceReport
+ * @property {number} seed
+ * @property {number} games
+ * @property {number} steps Transitions made over all games.
+ * @property {Violation[]} violations Each distinct violation once, in the
+ *     order found.
+ */
+
+const DEFAULT_GAMES = 1000;
+const DEFAULT_MAX_STEPS = 10000;
+
+/**
+ * Plays random games and checks every step against what the engine assumes
+ * of a GameState:
+ *
+ * - options are distinct non-empty strings, none a prefix of another;
+ * - `getOptions` returns the same options every time and changes nothing;
+ * - `processOption` neither throws nor changes values of earlier nodes in
+ *   place, and returns a state or null;
+ * - games end within `maxSteps` steps, with a result.
+ *
+ * Games stop at their first error.  Like the engine, the checker passes null
+ * to states without options and plays single options automatically.
+ * @param {() => GameState} createStartState E.g. `GAME_INFO.createStartState`.
+ * @param {ConformanceOptions} [options]
+ * @returns {ConformanceReport}
+ */
+export function checkConformance(createStartState, options = {}) {
+  const { games = DEFAULT_GAMES, maxSteps = DEFAULT_MAX_STEPS } = options;
+  const seed = options.seed ?? randomSeed();
+  const picker = new Random(seed);
+  /** @type {Map<string, Violation>} */
+  const found = new Map();
+  let steps = 0;
+
+  for (let i = 0; i < games; i++) {
+    const gameSeed = deriveSeed(seed, i);
+    /** @type {string[]} */
+    const moves = [];
+    /**
+     * @param {ViolationKind} kind
+     * @param {string} message
+     */
+    const report = (kind, message) => {
+      const key = `${kind}:${message}`;
+      const known = found.get(key);
+      if (known) {
+        known.count++;
+      } else {
+        const severity = kind === 'ambiguous-option' ? 'warning' : 'error';
+        found.set(key, { kind, severity, message, seed: gameSeed, moves: [...moves], count: 1 });
+      }
+    };
+    steps += playGame(createStartState, new Random(gameSeed), picker, maxSteps, moves, report);
+  }
+  return { seed, games, steps, violations: [...found.values()] };
+}
+
+/**
+ * Plays one checked game and returns the number of steps made.
+ * @param {() => GameState} createStartState
+ * @param {Random} rng The game's generator, drawn from as the engine would.
+ * @param {Random} picker Picks the options, apart from the game's generator.
+ * @param {number} maxSteps
+ * @param {string[]} moves Filled with the options chosen.
+ * @param {(kind: ViolationKind, message: string) => void} report
+ * @returns {number}
+ */
+function playGame(createStartState, rng, picker, maxSteps, moves, report) {
+  /** @type {GameState|null} */
+  let state;
+  try {
+    state = createStartState();
+  } catch (err) {
+    report('exception', `Creating the start state threw: ${describeError(err)}`);
+    return 0;
+  }
+  let head = new StateNode(null, state);
+
+  let step = 0;
+  for (; state; step++) {
+    const name = stateName(state);
+    if (step === maxSteps) {
+      report('non-terminating', `Still going after ${maxSteps} steps, in ${name}`);
+      return step;
+    }
+
+    const input = nextInput(state, head, rng, picker, moves, report);
+    if (input === undefined) return step;
+
+    const before = fingerprint(head.values());
+    const node = new StateNode(head, state);
+    node.input = input;
+    /** @type {GameState|null} */
+    let next;
+    try {
+      next = state.processOption(/** @type {string} */ (input), new GameContext(node, () => { }, rng));
+    } catch (err) {
+      report('exception', `${name}.processOption(${show(input)}) threw: ${describeError(err)}`);
+      return step + 1;
+    }
+    if (before !== null && fingerprint(head.values()) !== before) {
+      report('parent-mutation', `${name}.processOption(${show(input)}) changed earlier values in place; copy them and set the copy`);
+      return step + 1;
+    }
+    if (next !== null && (typeof next !== 'object' || typeof next.processOption !== 'function')) {
+      report('invalid-state', `${name}.processOption(${show(input)}) returned ${show(next)} instead of a state or null`);
+      return step + 1;
+    }
+    head = node;
+    state = next;
+  }
+
+  if (!head.outcome) report('missing-result', 'The game ended without a winner, draw or scores');
+  return step;
+}
+
+/**
+ * Checks the options of `state` and picks the input the engine would pass:
+ * a chance draw, null without options, the only option, or a random one.
+ * Returns undefined if the options are unusable.
+ * @param {GameState} state
+ * @param {StateNode} head
+ * @param {Random} rng
+ * @param {Random} picker
+ * @param {string[]} moves
+ * @param {(kind: ViolationKind, message: string) => void} report
+ * @returns {string|null|undefined}
+ */
+function nextInput(state, head, rng, picker, moves, report) {
+  const name = stateName(state);
+  const context = new GameContext(head, () => { }, rng);
+  try {
+    const outcomes = getChanceOutcomes(state, context);
+    if (outcomes) {
+      const bad = outcomes.find(outcome => typeof outcome.option !== 'string' || !(outcome.weight >= 0));
+      if (bad || outcomes.every(outcome => outcome.weight === 0)) {
+        report('invalid-chance', `${name}.getChanceOutcomes() needs string options and weights >= 0, not all 0`);
+        return undefined;
+      }
+      return sampleChance(outcomes, rng);
+    }
+  } catch (err) {
+    report('exception', `${name}.getChanceOutcomes() threw: ${describeError(err)}`);
+    return undefined;
+  }
+
+  /** @type {string[]} */
+  let options;
+  try {
+    const values = fingerprint(head.values());
+    const fields = fingerprint(state);
+    const rngState = rng.state;
+    options = state.getOptions(context);
+    if (rng.state !== rngState) {
+      report('nondeterministic-options', `${name}.getOptions() draws random numbers`);
+      rng.state = rngState;
+    }
+    if ((values !== null && fingerprint(head.values()) !== values) || (fields !== null && fingerprint(state) !== fields)) {
+      report('options-mutate-state', `${name}.getOptions() changed the game's values or the state's fields`);
+      return undefined;
+    }
+    const again = state.getOptions(new GameContext(head, () => { }, rng));
+    rng.state = rngState;
+    if (show(again) !== show(options)) {
+      report('nondeterministic-options', `${name}.getOptions() returned ${show(options)}, then ${show(again)}`);
+      return undefined;
+    }
+  } catch (err) {
+    report('exception', `${name}.getOptions() threw: ${describeError(err)}`);
+    return undefined;
+  }
+
+  if (!Array.isArray(options) || options.some(option => typeof option !== 'string' || option === '')) {
+    report('invalid-option', `${name}.getOptions() must return non-empty strings, not ${show(options)}`);
+    return undefined;
+  }
+  const duplicate = options.find((option, i) => options.indexOf(option) !== i);
+  if (duplicate !== undefined) {
+    report('duplicate-option', `${name} offers ${show(duplicate)} more than once`);
+    return undefined;
+  }
+  for (const option of options) {
+    const longer = options.find(other => other !== option && other.startsWith(option));
+    if (longer !== undefined) {
+      report('ambiguous-option', `${name}: ${show(option)} is a prefix of ${show(longer)}, so typing it needs Enter`);
+    }
+  }
+
+  if (options.length === 0) return null;
+  if (options.length === 1) return options[0];
+  const option = options[Math.floor(picker.random() * options.length)];
+  moves.push(option);
+  return option;
+}
+
+/**
+ * JSON of a value, to spot changes; null if it cannot be serialized.
+ * @param {any} value
+ * @returns {string|null}
+ */
+function fingerprint(value) {
+  try {
+    return JSON.stringify(value instanceof Map ? [...value] : value) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function show(value) {
+  return fingerprint(value) ?? String(value);
+}
+
+/**
+ * @param {GameState} state
+ * @returns {string}
+ */
+function stateName(state) {
+  return state.constructor && state.constructor.name !== 'Object' ? state.constructor.name : 'state';
+}
+
+/**
+ * @param {unknown} err
+ * @returns {string}
+ */
+function describeError(err) {
+  return err instanceof Error ? err.message : String(err);
+}
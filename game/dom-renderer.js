@@ -0,0 +1,173 @@
+//@ts-check
+
+/** @typedef {import('./renderer.js').Renderer} Renderer */
+/** @typedef {import('./output.js').Output} Output */
+/** @typedef {import('./output.js').Inline} Inline */
+
+/**
+ * Renders the game as a terminal inside a DOM element.  Each printed line or
+ * block is a `div`; grids and tables become HTML tables.  The input prompt is a
+ * `span` kept at the bottom of the container, followed by a row of buttons for
+ * the options so touch devices can play.
+ *
+ * Clickable cells only work in the latest output that has any, and only for
+ * the options on offer, so old boards further up cannot be played on.
+ */
+/** @implements {Renderer} */
+export class DomRenderer {
+  /**
+   * @param {HTMLElement} container
+   */
+  constructor(container) {
+    this.container = container;
+    /** @type {HTMLElement|null} */
+    this.inputElement = null;
+    /** @type {HTMLElement|null} */
+    this.optionsElement = null;
+    /** @type {((option: string) => void)|null} */
+    this.onChoose = null;
+  }
+
+  clear() {
+    this.container.innerHTML = '';
+    this.inputElement = document.createElement('span');
+    this.container.appendChild(this.inputElement);
+    this.optionsElement = document.createElement('div');
+    this.optionsElement.className = 'options';
+    this.container.appendChild(this.optionsElement);
+  }
+
+  /**
+   * @param {Output} output
+   * @returns {HTMLElement}
+   */
+  print(output) {
+    const el = document.createElement('div');
+    if (typeof output === 'string') {
+      el.textContent = output;
+    } else if (output.type === 'line') {
+      output.parts.forEach(part => el.appendChild(this.#inline(part)));
+    } else if (output.type === 'heading') {
+      el.className = `output-heading level-${Math.min(output.level, 3)}`;
+      el.textContent = output.text;
+    } else if (output.type === 'grid') {
+      el.appendChild(this.#table('output-grid', null, output.rows));
+    } else {
+      el.appendChild(this.#table('output-table', output.header, output.rows));
+    }
+
+    if (this.inputElement && this.container.contains(this.inputElement)) {
+      this.container.insertBefore(el, this.inputElement);
+    } else {
+      this.container.appendChild(el);
+    }
+    window.scrollTo(0, document.body.scrollHeight);
+    return el;
+  }
+
+  /**
+   * @param {Inline} inline
+   * @returns {HTMLElement}
+   */
+  #inline(inline) {
+    const el = document.createElement('span');
+    if (typeof inline === 'string') {
+      el.textContent = inline;
+      return el;
+    }
+    el.textContent = inline.text;
+    if (inline.player !== undefined) el.classList.add(`player-${inline.player}`);
+    if (inline.color) el.style.color = inline.color;
+    if (inline.bold) el.style.fontWeight = 'bold';
+    const option = inline.option;
+    if (option !== undefined) {
+      el.dataset.option = option;
+      el.onclick = () => {
+        if (el.classList.contains('available') && this.onChoose) this.onChoose(option);
+      };
+    }
+    return el;
+  }
+
+  /**
+   * @param {string} className
+   * @param {Inline[]|null} header
+   * @param {Inline[][]} rows
+   * @returns {HTMLTableElement}
+   */
+  #table(className, header, rows) {
+    const table = document.createElement('table');
+    table.className = className;
+    if (header) {
+      const tr = table.createTHead().insertRow();
+      for (const cell of header) {
+        const th = document.createElement('th');
+        th.appendChild(this.#inline(cell));
+        tr.appendChild(th);
+      }
+    }
+    const body = table.createTBody();
+    for (const row of rows) {
+      const tr = body.insertRow();
+      for (const cell of row) tr.insertCell().appendChild(this.#inline(cell));
+    }
+    return table;
+  }
+
+  /**
+   * @param {HTMLElement} el
+   */
+  remove(el) {
+    el.remove();
+  }
+
+  /**
+   * @param {string} text
+   */
+  setInput(text) {
+    if (this.inputElement) {
+      this.inputElement.textContent = text;
+    }
+  }
+
+  /**
+   * @param {string[]} options
+   * @param {string} selected
+   * @param {(option: string) => void} onChoose
+   */
+  setOptions(options, selected, onChoose) {
+    this.onChoose = onChoose;
+    this.#markClickable(options);
+    if (!this.optionsElement) return;
+    this.optionsElement.innerHTML = '';
+    for (const option of options) {
+      const button = document.createElement('button');
+      button.className = option === selected ? 'option-button selected' : 'option-button';
+      button.textContent = option;
+      button.onclick = () => {
+        button.blur();
+        onChoose(option);
+      };
+      this.optionsElement.appendChild(button);
+    }
+  }
+
+  /**
+   * Enables the clickable cells of the latest output that has any, for the
+   * given options, and disables all others.
+   * @param {string[]} options
+   */
+  #markClickable(options) {
+    const cells = this.container.querySelectorAll('[data-option]');
+    cells.forEach(cell => cell.classList.remove('available'));
+    if (cells.length === 0) return;
+
+    const last = cells[cells.length - 1];
+    const block = [...this.container.children].find(child => child.contains(last));
+    if (!block) return;
+    block.querySelectorAll('[data-option]').forEach(cell => {
+      const option = /** @type {HTMLElement} */ (cell).dataset.option;
+      if (option !== undefined && options.includes(option)) cell.classList.add('available');
+    });
+  }
+}
@@ -1,17 +1,124 @@
 //@ts-check
 
+import { TextRenderer } from './renderer.js';
+import { Random } from './random.js';
+import { OptionInput } from './option-input.js';
+import {
+  addEstimate, addOutcome, createStats, drawOutcome, rankingOutcome, sharedWinOutcome, winOutcome,
+} from './outcome.js';
+
+/** @typedef {import('./renderer.js').Renderer} Renderer */
+/** @typedef {import('./output.js').Output} Output */
+/** @typedef {import('./outcome.js').Outcome} Outcome */
+/** @typedef {import('./outcome.js').SimulationStats} SimulationStats */
+/** @typedef {import('./agents.js').Agent} Agent */
+
+/**
+ * What the Engine reports to subscribers, by event type.  A move fires `log`
+ * for each line the game prints, then `transition`, then `autoTransition` for
+ * every automatic step after it; `activePlayerChanged` and `gameOver` follow
+ * once the engine waits for the next move.
+ * @typedef {Object} EngineEventMap
+ * @property {{seed: number, state: GameState}} newGame initGame started a game.
+ * @property {{input: string, node: StateNode}} transition A player's move
+ *     was played, including redo and replays of explored lines.
+ * @property {{input: string|null, node: StateNode}} autoTransition A chance
+ *     draw, a forced move or a state without options was played.
+ * @property {{node: StateNode, head: StateNode}} undo `node` was taken back
+ *     and `head` is the new head; fires once per node undone.
+ * @property {{output: Output, visibleTo: number[]|null, node: StateNode}} log
+ *     The game logged output, whether or not the viewer may read it.  Output
+ *     printed again on redo is not reported.
+ * @property {{player: number, previous: number}} activePlayerChanged
+ * @property {{outcome: Outcome|null, node: StateNode}} gameOver The game
+ *     reached its end, possibly again after an undo.
+ */
+
+/**
+ * @typedef {keyof EngineEventMap} EngineEventType
+ */
+
 /**
  * @interface
  * @typedef {Object} GameState
  * @property {(context: GameContext) => (string)[]} getOptions
  * @property {(input: string, context: GameContext) => GameState|null} processOption
+ * @property {(context: GameContext) => ChanceOutcome[]|null} [getChanceOutcomes]
+ *     Makes the state a chance node: instead of a player choosing, the engine
+ *     draws one of the outcomes with probability proportional to its weight and
+ *     passes its option to processOption.  Return null for a regular state.
+ * @property {(context: GameContext, player: number) => void} [determinize]
+ *     Redeals everything `player` cannot see, e.g. the opponents' hands, into
+ *     values consistent with what `player` has seen, using `context.set` and the
+ *     context's randomness.  Agents call it so they don't simulate with
+ *     knowledge they shouldn't have; see determinize() below.
+ * @property {(context: GameContext) => string} [getStateKey] Identifies the
+ *     position: equal keys must mean the game continues identically.  The
+ *     default (defaultStateKey) is built from the state's class and fields, the
+ *     player to move and the current value of every key.
+ * @property {(context: GameContext) => Symmetry[]} [getSymmetries] Positions
+ *     equivalent to this one, such as the rotations and reflections of a board.
+ *     Their keys must be in the same format as `getStateKey`.
+ * @property {(options: string[], context: GameContext) => string|number[]} [rolloutPolicy]
+ *     How simulated games play here instead of picking uniformly at random:
+ *     one of `options`, or a weight per option to draw from.  Draw any
+ *     randomness from `context.random()`.  Only called with two or more options.
+ * @property {(context: GameContext) => Object<string, number>} [evaluate]
+ *     Estimated payoff per player, on the scale of `Outcome.scores`.  Simulations
+ *     with a `maxDepth` stop here and use it instead of playing on.
+ */
+
+/**
+ * A state whose methods may return promises, e.g. to wait for an animation, a
+ * remote opponent or an asset.  Only the Engine accepts them: it waits for
+ * each promise before it goes on.  Analyses, agents and the other tools call
+ * the methods synchronously and need a GameState.
+ * @typedef {Object} AsyncGameState
+ * @property {(context: GameContext) => string[]|Promise<string[]>} getOptions
+ * @property {(input: string, context: GameContext) =>
+ *     GameState|AsyncGameState|null|Promise<GameState|AsyncGameState|null>} processOption
+ * @property {(context: GameContext) => ChanceOutcome[]|null} [getChanceOutcomes]
+ *     As for GameState; chance outcomes must be known synchronously.
+ */
+
+/**
+ * A transformation of a position onto an equivalent one.
+ * @typedef {Object} Symmetry
+ * @property {string} key State key of the transformed position.
+ * @property {(option: string) => string} mapOption Maps an option of this
+ *     position to the corresponding option of the transformed one.
+ */
+
+/**
+ * A possible result of a chance node.
+ * @typedef {Object} ChanceOutcome
+ * @property {string} option Passed to processOption when drawn.
+ * @property {number} weight Relative probability; need not sum to 1.
  */
 
+/**
+ * A position to analyze: an Engine, or any snapshot of one.
+ * @typedef {Object} Position
+ * @property {GameState|null} currentState
+ * @property {StateNode|null} stateHead
+ */
+
+const SYNC_STATES_ONLY = 'Simulations need synchronous states; getOptions or processOption returned a promise';
+
+/** How far `StateNode.get` walks before it takes a snapshot. */
+const SNAPSHOT_INTERVAL = 16;
+
 /**
  * A node representing the current state of the game.  Current state that is not
- * captured in this node is captured in the parent.
+ * captured in this node is captured in the parent.  Nodes created by the engine
+ * also keep their children, so undone lines survive as variations.
+ *
+ * `get` walks at most SNAPSHOT_INTERVAL nodes up the chain: a read that goes
+ * further leaves a snapshot of every current value on the node, and later reads
+ * from below stop there.  Write through `set` (or `context.set`) so the
+ * snapshot stays current.
  */
-class StateNode {
+export class StateNode {
   /**
    * @param {StateNode|null} parent
    * @param {GameState|null} handler
@@ -19,62 +126,615 @@ class StateNode {
   constructor(parent, handler) {
     this.parent = parent;
     this.handler = handler;
-    /** @type {HTMLElement[]} */
-    this.elements = [];
+    /** Renderer handles for the output printed while this node was the head. */
+    /** @type {any[]} */
+    this.outputs = [];
+    /** Values set on this node. */
     /** @type {Map<string, any>} */
     this.kvs = new Map();
+    /** Players allowed to see a key set on this node.  Unlisted keys are public. */
+    /** @type {Map<string, number[]>} */
+    this.visibility = new Map();
     this.activePlayer = -1;
-    this.winner = -1;
+    /** Set on the final node once the game has a result. */
+    /** @type {Outcome|null} */
+    this.outcome = null;
+    /** The option that was processed to create this node. */
+    /** @type {string|null} */
+    this.input = null;
+    /** True if the input was chosen by a player rather than taken automatically. */
+    this.chosen = false;
+    /** Generator state before the input was processed; undo restores it. */
+    this.rngState = 0;
+    /** Generator state after the input was processed; redo restores it. */
+    this.rngStateAfter = 0;
+    /** The state returned by processOption, i.e. the state after this node. */
+    /** @type {GameState|null} */
+    this.result = null;
+    /** Output logged while this node was created, to print again on redo. */
+    /** @type {LogLine[]} */
+    this.lines = [];
+    /** Variations explored from this node, oldest first. */
+    /** @type {StateNode[]} */
+    this.children = [];
+    /** The child last entered; redo follows it. */
+    /** @type {StateNode|null} */
+    this.activeChild = null;
   }
 
+  /** @type {Map<string, any>|null} */
+  #snapshot = null;
+
   /**
    * @param {string} key
    */
   get(key) {
+    /** @type {StateNode|null} */ let n = this;
+    for (let i = 0; n && i < SNAPSHOT_INTERVAL; i++) {
+      if (n.#snapshot) return n.#snapshot.get(key);
+      if (n.kvs.has(key)) return n.kvs.get(key);
+      n = n.parent;
+    }
+    return n ? this.values().get(key) : undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   */
+  set(key, value) {
+    this.kvs.set(key, value);
+    if (this.#snapshot) this.#snapshot.set(key, value);
+  }
+
+  /**
+   * The player who was active before this node, i.e. who chose its input.
+   * @returns {number}
+   */
+  lastActivePlayer() {
+    return this.parent ? this.parent.activePlayer : -1;
+  }
+
+  /**
+   * The current value of every key.  The map is shared; do not modify it.
+   * @returns {Map<string, any>}
+   */
+  values() {
+    if (this.#snapshot) return this.#snapshot;
+
+    /** @type {StateNode[]} */
+    const pending = [];
+    /** @type {StateNode|null} */ let n = this;
+    while (n && !n.#snapshot) {
+      pending.push(n);
+      n = n.parent;
+    }
+    const snapshot = new Map(n ? n.#snapshot : null);
+    for (let i = pending.length - 1; i >= 0; i--) {
+      for (const [key, value] of pending[i].kvs) snapshot.set(key, value);
+    }
+    this.#snapshot = snapshot;
+    return snapshot;
+  }
+
+  /**
+   * A copy of the current value of every key.
+   * @returns {Map<string, any>}
+   */
+  flatten() {
+    return new Map(this.values());
+  }
+
+  /**
+   * Whether `player` may see the current value of `key`.  Player -1 stands for
+   * an onlooker who sees everything.
+   * @param {string} key
+   * @param {number} player
+   * @returns {boolean}
+   */
+  isVisible(key, player) {
     /** @type {StateNode|null} */ let n = this;
     while (n) {
       if (n.kvs.has(key)) {
-        return n.kvs.get(key);
+        const players = n.visibility.get(key);
+        return !players || player === -1 || players.includes(player);
+      }
+      n = n.parent;
+    }
+    return true;
+  }
+
+  /**
+   * Whether any key set so far is hidden from `player`.
+   * @param {number} player
+   * @returns {boolean}
+   */
+  hasHiddenFrom(player) {
+    /** @type {Set<string>} */
+    const seen = new Set();
+    /** @type {StateNode|null} */ let n = this;
+    while (n) {
+      for (const key of n.kvs.keys()) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const players = n.visibility.get(key);
+        if (players && player !== -1 && !players.includes(player)) return true;
       }
       n = n.parent;
     }
-    return undefined;
+    return false;
   }
 }
 
+/**
+ * The node a lightweight rollout plays on in place.  Keys live in one flat
+ * map and every step reuses the node, so a rollout allocates no history and
+ * leaves nothing behind.  It starts as a copy of `from` and never changes it.
+ */
+export class RolloutNode extends StateNode {
+  /**
+   * @param {StateNode} from
+   */
+  constructor(from) {
+    super(null, null);
+    /** @type {Map<string, any>} */
+    this.flat = from.flatten();
+    this.activePlayer = from.activePlayer;
+    this.outcome = from.outcome;
+    this.previousActivePlayer = from.lastActivePlayer();
+  }
+
+  /**
+   * Moves on to the next step, as if a child node had been created.
+   */
+  step() {
+    this.previousActivePlayer = this.activePlayer;
+    this.activePlayer = -1;
+    this.outcome = null;
+  }
+
+  /** @param {string} key */
+  get(key) { return this.flat.get(key); }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   */
+  set(key, value) { this.flat.set(key, value); }
+
+  lastActivePlayer() { return this.previousActivePlayer; }
+
+  values() { return this.flat; }
+}
+
+/**
+ * A logged line or block and the players allowed to read it (null for everybody).
+ * @typedef {Object} LogLine
+ * @property {Output} output
+ * @property {number[]|null} visibleTo
+ */
+
+/**
+ * @param {LogLine} line
+ * @param {number} player The viewer, or -1 for an onlooker who sees everything.
+ * @returns {boolean}
+ */
+function canRead(line, player) {
+  return !line.visibleTo || player === -1 || line.visibleTo.includes(player);
+}
+
+/** Used by contexts that are not given a generator, e.g. for `getOptions` calls. */
+const defaultRandom = new Random();
+
 /**
  * Concrete implementation of the GameContext interface.
  */
 export class GameContext {
   /**
    * @param {StateNode} node
-   * @param {(text: string) => void} log
+   * @param {(output: Output, visibleTo?: number[]) => void} log Prints a line,
+   *     or a block such as a grid (see output.js); `visibleTo` limits it to
+   *     some players, e.g. `context.log('You drew 7', [2])`.
+   * @param {Random} [rng] Source of randomness for the game.  States must use it
+   *     instead of Math.random so that games and simulations can be replayed.
    */
-  constructor(node, log) {
+  constructor(node, log, rng = defaultRandom) {
     this.node = node;
     this.log = log;
+    this.rng = rng;
   }
 
   get(key) { return this.node.get(key); }
-  set(key, value) { this.node.kvs.set(key, value); }
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @param {number[]} [visibleTo] Players allowed to see the value; everybody
+   *     if omitted.  Agents only get the keys their player may see.
+   */
+  set(key, value, visibleTo) {
+    this.node.set(key, value);
+    if (visibleTo) {
+      this.node.visibility.set(key, [...visibleTo]);
+    } else {
+      this.node.visibility.delete(key);
+    }
+  }
   setActivePlayer(id) { this.node.activePlayer = id; }
-  setWinner(id) { this.node.winner = id; }
-  getLastActivePlayer() { return this.node.parent ? this.node.parent.activePlayer : -1; }
+  setWinner(id) { this.node.outcome = winOutcome(id); }
+  /** @param {number[]} ids Players sharing the win. */
+  setWinners(ids) { this.node.outcome = sharedWinOutcome(ids); }
+  /** @param {number[]} players Everybody in the game. */
+  setDraw(players) { this.node.outcome = drawOutcome(players); }
+  /** @param {number[][]} ranking Players grouped by finishing place, best first. */
+  setRanking(ranking) { this.node.outcome = rankingOutcome(ranking); }
+  /**
+   * Replaces the default payoffs (one point split among the winners).
+   * @param {Object<string, number>} scores Payoff per player.
+   */
+  setScores(scores) {
+    if (!this.node.outcome) {
+      this.node.outcome = { winners: [], draw: false, ranking: [], scores: {} };
+    }
+    this.node.outcome.scores = { ...scores };
+  }
+  getLastActivePlayer() { return this.node.lastActivePlayer(); }
+  /** @returns {number} A float in [0, 1). */
+  random() { return this.rng.random(); }
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @returns {number} An integer between min and max, both inclusive.
+   */
+  randInt(min, max) { return this.rng.randInt(min, max); }
+  /**
+   * @template T
+   * @param {T[]} items
+   * @returns {T[]} A shuffled copy of items.
+   */
+  shuffle(items) { return this.rng.shuffle(items); }
+
+  /**
+   * The same position as `player` sees it.
+   * @param {number} player
+   * @returns {PlayerContext}
+   */
+  forPlayer(player) { return new PlayerContext(this.node, this.log, this.rng, player); }
+}
+
+/**
+ * A context for one player: `get` returns undefined for keys hidden from them.
+ * Agents are given one.  `node` is still the real position, so simulations must
+ * go through determinize() to stay fair.
+ */
+export class PlayerContext extends GameContext {
+  /**
+   * @param {StateNode} node
+   * @param {(output: Output, visibleTo?: number[]) => void} log
+   * @param {Random} rng
+   * @param {number} player
+   */
+  constructor(node, log, rng, player) {
+    super(node, log, rng);
+    this.player = player;
+  }
+
+  get(key) { return this.node.isVisible(key, this.player) ? this.node.get(key) : undefined; }
+}
+
+/**
+ * Whether a state method handed back a promise rather than its result.
+ * @param {any} value
+ * @returns {value is Promise<any>}
+ */
+export function isPromise(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * Returns the state's chance outcomes, or null if a player chooses here.
+ * @param {GameState|AsyncGameState} state
+ * @param {GameContext} context
+ * @returns {ChanceOutcome[]|null}
+ */
+export function getChanceOutcomes(state, context) {
+  const outcomes = state.getChanceOutcomes ? state.getChanceOutcomes(context) : null;
+  if (outcomes && outcomes.length === 0) {
+    throw new Error('A chance node needs at least one outcome');
+  }
+  return outcomes;
+}
+
+/**
+ * Draws an outcome with probability proportional to its weight.
+ * @param {ChanceOutcome[]} outcomes
+ * @param {Random} rng
+ * @returns {string} The option of the drawn outcome.
+ */
+export function sampleChance(outcomes, rng) {
+  const total = outcomes.reduce((sum, o) => sum + o.weight, 0);
+  let r = rng.random() * total;
+  for (const outcome of outcomes) {
+    r -= outcome.weight;
+    if (r < 0) return outcome.option;
+  }
+  return outcomes[outcomes.length - 1].option;
+}
+
+/**
+ * The key used when a state has no `getStateKey`: its class and fields, the
+ * player to move and the current value of every key, sorted by name.
+ * @param {GameState} state
+ * @param {StateNode} head
+ * @returns {string}
+ */
+export function defaultStateKey(state, head) {
+  const entries = [...head.flatten().entries()].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return JSON.stringify([state.constructor.name, state, head.activePlayer, entries]);
+}
+
+/**
+ * @param {GameState} state
+ * @param {GameContext} context
+ * @returns {string}
+ */
+export function getStateKey(state, context) {
+  return state.getStateKey ? state.getStateKey(context) : defaultStateKey(state, context.node);
+}
+
+/**
+ * The smallest key among the position and its symmetries, so all equivalent
+ * positions share it.  Use it for caches and transposition tables.
+ * @param {GameState} state
+ * @param {GameContext} context
+ * @returns {string}
+ */
+export function getCanonicalKey(state, context) {
+  let key = getStateKey(state, context);
+  if (state.getSymmetries) {
+    for (const symmetry of state.getSymmetries(context)) {
+      if (symmetry.key < key) key = symmetry.key;
+    }
+  }
+  return key;
+}
+
+/**
+ * Groups the options that lead to equivalent positions, using the symmetries
+ * that map the position onto itself.  On an empty tic-tac-toe board that
+ * leaves three groups: corners, edges and the center.  Without a symmetry
+ * hook every option is its own group.
+ * @param {GameState} state
+ * @param {GameContext} context
+ * @returns {string[][]} Groups in the order of their first option.
+ */
+export function groupSymmetricOptions(state, context) {
+  const options = state.getOptions(context);
+  const key = state.getSymmetries ? getStateKey(state, context) : '';
+  const stabilizers = state.getSymmetries ? state.getSymmetries(context).filter(s => s.key === key) : [];
+
+  /** @type {string[][]} */
+  const groups = [];
+  /** @type {Set<string>} */
+  const grouped = new Set();
+  for (const option of options) {
+    if (grouped.has(option)) continue;
+    const group = [option];
+    grouped.add(option);
+    for (const symmetry of stabilizers) {
+      const image = symmetry.mapOption(option);
+      if (!grouped.has(image) && options.includes(image)) {
+        group.push(image);
+        grouped.add(image);
+      }
+    }
+    groups.push(group);
+  }
+  return groups;
+}
+
+/**
+ * How many earlier positions of the current line are equivalent to the
+ * current one, for repetition rules or to stop endless simulations.
+ * @param {Position} position
+ * @returns {number}
+ */
+export function countRepetitions(position) {
+  const { currentState, stateHead } = position;
+  if (!currentState || !stateHead) return 0;
+  const key = getCanonicalKey(currentState, new GameContext(stateHead, () => { }));
+  let count = 0;
+  for (let n = stateHead.parent; n; n = n.parent) {
+    if (n.result && getCanonicalKey(n.result, new GameContext(n, () => { })) === key) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * The position as `player` might believe it to be: a copy in which the state's
+ * `determinize` hook has redealt everything hidden from `player`.  Returns
+ * `position` itself if nothing is hidden from them, and throws if something is
+ * but the state has no hook, since a search would see the hidden values.
+ * Search on the copy like on any other position; it does not touch the game.
+ * @param {Position} position
+ * @param {number} player
+ * @param {Random} rng
+ * @returns {Position}
+ */
+export function determinize(position, player, rng) {
+  const { currentState, stateHead } = position;
+  if (!currentState || !stateHead || !stateHead.hasHiddenFrom(player)) {
+    return position;
+  }
+  if (!currentState.determinize) {
+    const name = currentState.constructor && currentState.constructor.name !== 'Object' ? currentState.constructor.name : 'The state';
+    throw new Error(`${name} hides values from player ${player} but has no determinize hook, so it cannot be searched fairly`);
+  }
+  const node = new StateNode(stateHead, currentState);
+  node.activePlayer = stateHead.activePlayer;
+  currentState.determinize(new GameContext(node, () => { }, rng), player);
+  return { currentState, stateHead: node };
 }
 
 export class Engine {
-  constructor() {
+  /**
+   * @param {Renderer} [renderer] Where game output goes.  Defaults to an
+   *     in-memory TextRenderer so the engine can run headless.
+   */
+  constructor(renderer) {
     // Global Engine State
-    /** @type {HTMLElement|null} */
-    this.container = null;
+    /** @type {Renderer} */
+    this.renderer = renderer || new TextRenderer();
     /** @type {GameState|null} */
     this.currentState = null;
     /** @type {StateNode|null} */
     this.stateHead = null;
-    /** @type {string} */
-    this.inputBuffer = '';
-    /** @type {HTMLElement|null} */
-    this.inputElement = null;
+    /** The option being typed by the player to move. */
+    this.input = new OptionInput();
+    /** Seeded by initGame; its seed and the move history replay the game. */
+    /** @type {Random} */
+    this.random = new Random();
+    /** Computer players by player id.  Players without an agent use the keyboard. */
+    /** @type {Map<number, Agent>} */
+    this.agents = new Map();
+    /** How long agents wait before moving, so their moves can be followed. */
+    this.agentDelayMs = 500;
+    /** Whose eyes the output is shown through; -1 shows every line. */
+    this.viewer = -1;
+  }
+
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  #agentTimer = null;
+
+  /** @type {Map<EngineEventType, Set<(event: any) => void>>} */
+  #listeners = new Map();
+
+  /** Settles once the transitions and undos running or queued are done; null if there are none. */
+  /** @type {Promise<void>|null} */
+  #pending = null;
+
+  /** Counts initGame calls, so work left over from an earlier game can tell. */
+  #generation = 0;
+
+  /** The options of the current position, found when the position was reached. */
+  /** @type {string[]} */
+  #options = [];
+
+  /** What subscribers were last told: the player to move and whether the game was over. */
+  #reported = { player: -1, over: false };
+
+  /**
+   * Calls `listener` on every event of `type`.  Listeners run synchronously;
+   * an error thrown by one is logged and does not reach the engine.
+   * @template {EngineEventType} K
+   * @param {K} type
+   * @param {(event: EngineEventMap[K]) => void} listener
+   * @returns {() => void} Unsubscribes the listener again.
+   */
+  subscribe(type, listener) {
+    let listeners = this.#listeners.get(type);
+    if (!listeners) {
+      listeners = new Set();
+      this.#listeners.set(type, listeners);
+    }
+    listeners.add(listener);
+    return () => this.unsubscribe(type, listener);
+  }
+
+  /**
+   * @template {EngineEventType} K
+   * @param {K} type
+   * @param {(event: EngineEventMap[K]) => void} listener
+   */
+  unsubscribe(type, listener) {
+    const listeners = this.#listeners.get(type);
+    if (listeners) listeners.delete(listener);
+  }
+
+  /**
+   * @template {EngineEventType} K
+   * @param {K} type
+   * @param {EngineEventMap[K]} event
+   */
+  #emit(type, event) {
+    const listeners = this.#listeners.get(type);
+    if (!listeners) return;
+    for (const listener of [...listeners]) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(err);
+      }
+    }
+  }
+
+  /**
+   * Tells subscribers about a new player to move or the end of the game, once
+   * the position has settled after a move, an undo or the start.
+   */
+  #reportPosition() {
+    if (!this.stateHead) return;
+    const player = this.stateHead.activePlayer;
+    const over = this.currentState === null;
+    const previous = this.#reported;
+    this.#reported = { player, over };
+    if (player !== previous.player) this.#emit('activePlayerChanged', { player, previous: previous.player });
+    if (over && !previous.over) this.#emit('gameOver', { outcome: this.stateHead.outcome, node: this.stateHead });
+  }
+
+  /**
+   * Seats an agent for `player`, or returns the seat to the keyboard.
+   * @param {number} player
+   * @param {Agent|null} agent
+   */
+  setAgent(player, agent) {
+    if (agent) {
+      this.agents.set(player, agent);
+    } else {
+      this.agents.delete(player);
+    }
+    this.#updateInputDisplay();
+    this.#scheduleAgent();
+  }
+
+  /**
+   * If an agent is seated for the active player, lets it move after
+   * `agentDelayMs`.  The move is dropped if the position changed meanwhile.
+   */
+  #scheduleAgent() {
+    if (this.#agentTimer !== null) {
+      clearTimeout(this.#agentTimer);
+      this.#agentTimer = null;
+    }
+    const state = this.currentState;
+    const head = this.stateHead;
+    if (!state || !head) return;
+    const agent = this.agents.get(head.activePlayer);
+    if (!agent) return;
+
+    this.#agentTimer = setTimeout(async () => {
+      this.#agentTimer = null;
+      const context = new GameContext(head, () => { }).forPlayer(head.activePlayer);
+      try {
+        const choice = await agent.chooseOption(state, context);
+        if (this.stateHead !== head || this.currentState !== state) return;
+        if (!this.#options.includes(choice)) {
+          throw new Error(`${agent.name} chose an invalid option: ${choice}`);
+        }
+        this.#logFailure(this.transition(choice));
+      } catch (err) {
+        console.error(err);
+      }
+    }, this.agentDelayMs);
+  }
+
+  /**
+   * The seed the current game was started with.
+   * @returns {number}
+   */
+  get seed() {
+    return this.random.seed;
   }
 
   /**
@@ -86,230 +746,743 @@ export class Engine {
   }
 
   /**
-   * Appends text to the terminal and tracks the element in the current state node.
-   * @param {string} text
+   * Returns the options chosen by players since the start of the game, oldest
+   * first.  Replaying them through `transition` on a fresh game reaches the
+   * current position again.
+   * @returns {string[]}
+   */
+  getMoveHistory() {
+    const moves = [];
+    for (let n = this.stateHead; n; n = n.parent) {
+      if (n.chosen && n.input !== null) moves.push(n.input);
+    }
+    return moves.reverse();
+  }
+
+  /**
+   * Appends output to the renderer and tracks it in the current state node.
+   * @param {Output} output
+   * @param {number[]} [visibleTo] Players allowed to read it; everybody if omitted.
    */
-  #print(text) {
-    if (!this.container || !this.stateHead) return;
+  #print(output, visibleTo) {
+    if (!this.stateHead) return;
+    const line = { output, visibleTo: visibleTo ? [...visibleTo] : null };
+    this.stateHead.lines.push(line);
+    if (canRead(line, this.viewer)) {
+      this.stateHead.outputs.push(this.renderer.print(output));
+    }
+    this.#emit('log', { ...line, node: this.stateHead });
+  }
 
-    const el = document.createElement('div');
-    el.textContent = text;
+  /**
+   * Prints the lines of `node` that the viewer may read.
+   * @param {StateNode} node
+   */
+  #printLines(node) {
+    for (const line of node.lines) {
+      if (canRead(line, this.viewer)) node.outputs.push(this.renderer.print(line.output));
+    }
+  }
 
-    if (this.inputElement && this.container.contains(this.inputElement)) {
-      this.container.insertBefore(el, this.inputElement);
-    } else {
-      this.container.appendChild(el);
+  /**
+   * Shows the game as `player` sees it, hiding lines logged for others, or
+   * everything with -1.  The output of the current line is printed again.
+   * @param {number} player
+   */
+  setViewer(player) {
+    this.viewer = player;
+    this.renderer.clear();
+    /** @type {StateNode[]} */
+    const path = [];
+    for (let n = this.stateHead; n; n = n.parent) path.push(n);
+    for (const node of path.reverse()) {
+      node.outputs = [];
+      this.#printLines(node);
     }
-    this.stateHead.elements.push(el);
-    window.scrollTo(0, document.body.scrollHeight);
+    this.#updateInputDisplay();
   }
 
   /**
-   * Executes a state transition logic.
+   * Makes an existing child of the head the new head, printing its output again.
+   * @param {StateNode} node
+   */
+  #enter(node) {
+    if (!this.stateHead) return;
+    this.stateHead.activeChild = node;
+    this.stateHead = node;
+    this.#printLines(node);
+    this.currentState = node.result;
+    this.random.state = node.rngStateAfter;
+  }
+
+  /**
+   * Executes a state transition logic.  Returns a promise if the state's
+   * processOption did; the transition is complete once it resolves.  If it
+   * rejects, the new node is dropped again and the error passed on.
    * @param {string|null} input
+   * @param {boolean} chosen Whether a player picked the input.
+   * @param {number} [rngState] Generator state before the transition, if a
+   *     chance draw already advanced it.
+   * @returns {void|Promise<void>}
    */
-  #transitionOnce(input) {
-    console.log('Transition:', input);
+  #transitionOnce(input, chosen, rngState = this.random.state) {
     if (!this.currentState || !this.stateHead) return;
 
+    // 0. Replaying an explored line: the result is already known.
+    const existing = this.stateHead.children.find(child =>
+      child.input === input && child.chosen === chosen && child.rngState === rngState);
+    if (existing) {
+      this.#enter(existing);
+      this.#emitTransition(existing);
+      return;
+    }
+
     // 1. Create new history node
-    const newNode = new StateNode(this.stateHead, this.currentState);
+    const parent = this.stateHead;
+    const previousChild = parent.activeChild;
+    const newNode = new StateNode(parent, this.currentState);
+    newNode.input = input;
+    newNode.chosen = chosen;
+    newNode.rngState = rngState;
+    parent.children.push(newNode);
+    parent.activeChild = newNode;
     this.stateHead = newNode;
 
     // 2. Run Logic
-    const nextState = this.currentState.processOption(
-      input, new GameContext(this.stateHead, (text) => this.#print(text)));
-    this.currentState = nextState;
+    const state = /** @type {AsyncGameState} */ (this.currentState);
+    const nextState = state.processOption(
+      input, new GameContext(this.stateHead, (output, visibleTo) => this.#print(output, visibleTo), this.random));
+    const finish = (/** @type {GameState|AsyncGameState|null} */ result) => {
+      this.currentState = /** @type {GameState|null} */ (result);
+      newNode.result = this.currentState;
+      newNode.rngStateAfter = this.random.state;
+      this.#emitTransition(newNode);
+    };
+    if (!isPromise(nextState)) return finish(nextState);
+
+    return this.#after(nextState.catch(err => {
+      if (this.stateHead === newNode) {
+        newNode.outputs.forEach(handle => this.renderer.remove(handle));
+        parent.children.splice(parent.children.indexOf(newNode), 1);
+        parent.activeChild = previousChild;
+        this.stateHead = parent;
+        this.random.state = rngState;
+        if (!chosen) this.#options = [];
+      }
+      throw err;
+    }), finish);
   }
 
+  /**
+   * @param {StateNode} node The node just entered.
+   */
+  #emitTransition(node) {
+    if (node.chosen) {
+      this.#emit('transition', { input: /** @type {string} */ (node.input), node });
+    } else {
+      this.#emit('autoTransition', { input: node.input, node });
+    }
+  }
+
+  /**
+   * Plays chance draws, forced moves and states without options until a
+   * player has to choose or the game ends.
+   * @returns {void|Promise<void>}
+   */
   #autoTransition() {
-    while (this.currentState) {
-      const context = new GameContext(this.stateHead, (text) => this.#print(text));
-      let nextOptions = this.currentState.getOptions(context);
-      if (nextOptions.length === 0) {
-        this.#transitionOnce(null);
-      } else if (nextOptions.length === 1) {
-        this.#transitionOnce(nextOptions[0]);
-      } else {
-        break;
+    return this.#repeat(() => {
+      const state = /** @type {AsyncGameState|null} */ (this.currentState);
+      if (!state) {
+        this.#options = [];
+        return false;
       }
+      const context = new GameContext(this.stateHead, () => { }, this.random);
+      const outcomes = getChanceOutcomes(state, context);
+      if (outcomes) {
+        const rngState = this.random.state;
+        return this.#after(this.#transitionOnce(sampleChance(outcomes, this.random), false, rngState), () => true);
+      }
+      return this.#after(state.getOptions(context), nextOptions => {
+        if (nextOptions.length > 1) {
+          this.#options = nextOptions;
+          return false;
+        }
+        return this.#after(this.#transitionOnce(nextOptions.length === 0 ? null : nextOptions[0], false), () => true);
+      });
+    });
+  }
+
+  /**
+   * Calls `fn` with `value` right away, or once it resolves if it is a
+   * promise, so synchronous games never wait.  A promise that resolves after
+   * initGame started another game rejects instead.
+   * @template T, U
+   * @param {T|Promise<T>} value
+   * @param {(value: T) => U} fn
+   * @returns {U|Promise<Awaited<U>>}
+   */
+  #after(value, fn) {
+    if (!isPromise(value)) return fn(/** @type {T} */ (value));
+    const generation = this.#generation;
+    return /** @type {Promise<Awaited<U>>} */ (/** @type {Promise<T>} */ (value).then(resolved => {
+      if (generation !== this.#generation) throw new Error('A new game was started before the transition finished');
+      return fn(resolved);
+    }));
+  }
+
+  /**
+   * Calls `step` until it returns false, waiting whenever it returns a promise.
+   * @param {() => boolean|Promise<boolean>} step
+   * @returns {void|Promise<void>}
+   */
+  #repeat(step) {
+    for (; ;) {
+      const more = step();
+      if (more === false) return;
+      if (more !== true) return this.#after(more, again => (again ? this.#repeat(step) : undefined));
     }
   }
 
+  /**
+   * Runs `work` after any pending work, so transitions and undos happen one at
+   * a time.  Synchronous work runs at once.  Either way the display, the
+   * subscribers and the agents catch up once it is done.
+   * @template T
+   * @param {() => T} work
+   * @returns {T|Promise<Awaited<T>>}
+   */
+  #serialize(work) {
+    const generation = this.#generation;
+    const result = this.#pending
+      ? this.#pending.then(() => {
+        if (generation !== this.#generation) throw new Error('A new game was started before the transition could run');
+        return work();
+      })
+      : work();
+    if (!isPromise(result)) {
+      this.#settle();
+      return /** @type {T} */ (result);
+    }
+
+    // Settle before the caller's promise resolves, so awaiting it is enough.
+    /** @type {Promise<void>} */
+    let pending;
+    const finish = () => {
+      if (this.#pending !== pending) return;
+      this.#pending = null;
+      this.#settle();
+    };
+    const done = /** @type {Promise<Awaited<T>>} */ (result).then(
+      value => { finish(); return value; },
+      err => { finish(); throw err; });
+    pending = done.then(() => { }, () => { });
+    this.#pending = pending;
+    this.#updateInputDisplay();
+    return done;
+  }
+
+  #settle() {
+    this.#updateInputDisplay();
+    this.#reportPosition();
+    this.#scheduleAgent();
+  }
+
+  /**
+   * True while an asynchronous transition or undo is running or queued.
+   * @returns {boolean}
+   */
+  get pending() {
+    return this.#pending !== null;
+  }
+
+  /**
+   * Resolves once no transition or undo is pending any more.
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    while (this.#pending) await this.#pending;
+  }
+
+  /**
+   * The options the keyboard may pick from: none during an agent's turn,
+   * while a transition is pending or after the game.
+   * @returns {string[]}
+   */
+  #humanOptions() {
+    if (!this.currentState || !this.stateHead || this.#pending || this.agents.has(this.stateHead.activePlayer)) return [];
+    return this.#options;
+  }
+
   #updateInputDisplay() {
-    if (this.inputElement) {
-      if (this.currentState) {
-        this.inputElement.textContent = `> ${this.inputBuffer}_`;
-      } else {
-        this.inputElement.textContent = '';
-      }
+    if (this.#pending) {
+      this.renderer.setInput('...');
+    } else if (this.currentState) {
+      this.renderer.setInput(`> ${this.input.buffer}_`);
+    } else {
+      this.renderer.setInput('');
+    }
+    if (this.renderer.setOptions) {
+      this.renderer.setOptions(this.input.matches(this.#humanOptions()), this.input.buffer,
+        (option) => this.#choose(option));
     }
   }
 
   /**
-   * Initializes the game engine.
-   * @param {HTMLElement} rootElement
-   * @param {GameState} initialState
+   * Plays an option picked outside the keyboard, e.g. by clicking it.
+   * @param {string} option
    */
-  initGame(
-    rootElement,
-    initialState
-  ) {
-    console.log('A');
-    this.container = rootElement;
-    this.currentState = initialState;
-    this.container.innerHTML = '';
+  #choose(option) {
+    if (!this.#humanOptions().includes(option)) return;
+    this.#logFailure(this.transition(option));
+  }
 
-    this.inputBuffer = '';
-    this.inputElement = document.createElement('span');
-    this.container.appendChild(this.inputElement);
+  /**
+   * Input from the keyboard or a click has nobody to report a failed
+   * asynchronous transition to, so it goes to the console.
+   * @param {unknown} result
+   */
+  #logFailure(result) {
+    if (!isPromise(result)) return;
+    const generation = this.#generation;
+    /** @type {Promise<unknown>} */ (result).catch(err => {
+      if (generation === this.#generation) console.error(err);
+    });
+  }
+
+  /**
+   * Initializes the game engine.  Returns a promise if the game starts with
+   * asynchronous states; a game still pending from before is abandoned.
+   * @param {GameState|AsyncGameState} initialState
+   * @param {number} [seed] Seed for the game's random numbers.  Defaults to a
+   *     random seed, which is available as `engine.seed` afterwards.
+   * @returns {void|Promise<void>}
+   */
+  initGame(initialState, seed) {
+    this.#generation++;
+    this.#pending = null;
+    this.random = new Random(seed);
+    this.currentState = /** @type {GameState} */ (initialState);
+    this.renderer.clear();
+
+    this.input.reset();
     this.#updateInputDisplay();
 
     // Initialize the Linked List with a root node. 
-    this.stateHead = new StateNode(null, initialState);
-    this.#autoTransition();
-    this.#updateInputDisplay();
+    this.stateHead = new StateNode(null, this.currentState);
+    this.#reported = { player: -1, over: false };
+    this.#emit('newGame', { seed: this.random.seed, state: this.currentState });
+    return this.#serialize(() => this.#autoTransition());
   }
 
   /**
-   * Executes a state transition logic.
+   * Executes a state transition logic.  With asynchronous states it returns a
+   * promise, and transitions requested meanwhile wait their turn.
    * @param {string} input
+   * @returns {void|Promise<void>}
    */
   transition(input) {
-    this.#transitionOnce(input);
-    this.#autoTransition();
-    this.#updateInputDisplay();
+    return this.#serialize(() => this.#play(input));
+  }
+
+  /**
+   * @param {string} input
+   * @returns {void|Promise<void>}
+   */
+  #play(input) {
+    this.input.reset();
+    return this.#after(this.#transitionOnce(input, true), () => this.#autoTransition());
   }
 
   /**
-   * Recursively performs undo operations.
+   * Recursively performs undo operations: back to the previous position where
+   * a player chooses.  Waits for any pending transition first.
+   * @returns {void|Promise<void>}
    */
   recursiveUndo() {
+    return this.#serialize(() => this.#undo());
+  }
+
+  /**
+   * @returns {void|Promise<void>}
+   */
+  #undo() {
     if (!this.stateHead || !this.stateHead.parent) return;
+    this.input.reset();
 
-    // 1. Remove DOM elements from the current head
-    this.stateHead.elements.forEach(el => el.remove());
+    // 1. Remove output printed by the current head; the node itself stays in the tree
+    this.stateHead.outputs.forEach(handle => this.renderer.remove(handle));
+    this.stateHead.outputs = [];
 
     // 2. Restore logic state from the node we are removing
     if (this.stateHead.handler) {
       this.currentState = this.stateHead.handler;
     }
+    this.random.state = this.stateHead.rngState;
 
     // 3. Move pointer back
+    const undone = this.stateHead;
     this.stateHead = this.stateHead.parent;
+    this.#emit('undo', { node: undone, head: this.stateHead });
 
     // 4. Check if the *restored* state is automatic. 
-    if (this.currentState) {
-      const options = this.currentState.getOptions(new GameContext(this.stateHead, (text) => this.#print(text)));
-      // If it's an auto-state, user didn't stop there, so undo further.
-      if (options.length <= 1) {
-        this.recursiveUndo();
-      }
+    const state = /** @type {AsyncGameState|null} */ (this.currentState);
+    if (!state) return;
+    const context = new GameContext(this.stateHead, () => { }, this.random);
+    // If it's an auto-state or a chance node, user didn't stop there, so undo further.
+    if (getChanceOutcomes(state, context)) {
+      this.#options = [];
+      return this.#undo();
     }
-    this.#updateInputDisplay();
+    return this.#after(state.getOptions(context), options => {
+      this.#options = options;
+      if (options.length <= 1) return this.#undo();
+    });
   }
 
+  /**
+   * Replays the move most recently undone from the current position.
+   * @returns {boolean|Promise<boolean>} false if there is nothing to redo.
+   */
+  redo() {
+    return this.#serialize(() => {
+      if (!this.stateHead || !this.currentState) return false;
+      const child = this.stateHead.activeChild;
+      if (!child || !child.chosen || child.input === null) return false;
+      return this.#after(this.#play(child.input), () => true);
+    });
+  }
+
+  /**
+   * Replaces the last move with the previous (-1) or next (+1) variation
+   * explored from the same position.
+   * @param {number} delta
+   * @returns {boolean|Promise<boolean>} false if there is no such variation.
+   */
+  switchVariation(delta) {
+    return this.#serialize(() => {
+      /** @type {StateNode|null} */
+      let move = this.stateHead;
+      while (move && !move.chosen) move = move.parent;
+      if (!move || !move.parent) return false;
+
+      const siblings = move.parent.children.filter(child => child.chosen);
+      const target = siblings[siblings.indexOf(move) + delta];
+      if (!target) return false;
+      return this.#after(this.#goTo(target), () => true);
+    });
+  }
+
+  /**
+   * Moves to the position after `target`, which must be a node of the current
+   * game: undoes back to the common ancestor, then replays the moves that lead
+   * to `target`.
+   * @param {StateNode} target
+   * @returns {void|Promise<void>}
+   */
+  goToNode(target) {
+    return this.#serialize(() => this.#goTo(target));
+  }
+
+  /**
+   * @param {StateNode} target
+   * @returns {void|Promise<void>}
+   */
+  #goTo(target) {
+    /** @type {StateNode[]} */
+    const path = [];
+    for (let n = /** @type {StateNode|null} */ (target); n; n = n.parent) path.push(n);
+    path.reverse();
+    const onPath = new Set(path);
+
+    const back = this.#repeat(() => {
+      if (!this.stateHead || !this.stateHead.parent || onPath.has(this.stateHead)) return false;
+      return this.#after(this.#undo(), () => true);
+    });
+    return this.#after(back, () => {
+      if (!this.stateHead) return;
+      const moves = path.slice(path.indexOf(this.stateHead) + 1).filter(node => node.chosen && node.input !== null);
+      let i = 0;
+      return this.#repeat(() => i < moves.length &&
+        this.#after(this.#play(/** @type {string} */ (moves[i++].input)), () => true));
+    });
+  }
+
+  /**
+   * Undoes the last move, and any agent moves before it, so that a human
+   * playing against agents gets back to their own previous turn.
+   * @returns {void|Promise<void>}
+   */
+  #undoToHuman() {
+    return this.#after(this.#undo(), () => this.#repeat(() => {
+      if (!this.stateHead || !this.stateHead.parent || !this.agents.has(this.stateHead.activePlayer)) return false;
+      return this.#after(this.#undo(), () => true);
+    }));
+  }
+
+  /**
+   * Keyboard handling.  Option entry is described in OptionInput; Left or
+   * Backspace undo, Right redoes, PageUp / PageDown switch variations.
+   * While a transition is pending, the options are not known yet: typing and
+   * the other keys are ignored, and an undo waits for the transition and then
+   * takes it back.
+   * @param {string} key A KeyboardEvent key.
+   */
   handleGlobalKeydown(key) {
-    console.log('Keypress:', key);
-    if (!this.container || !this.stateHead) return;
+    if (!this.stateHead) return;
 
-    // --- UNDO ---
-    if (key === 'Backspace') {
-      if (this.inputBuffer.length > 0) {
-        this.inputBuffer = this.inputBuffer.slice(0, -1);
-        this.#updateInputDisplay();
-      } else if (this.stateHead.parent) {
-        this.recursiveUndo();
-      }
+    if (this.#pending) {
+      if (key === 'ArrowLeft' || key === 'Backspace') this.#logFailure(this.#serialize(() => this.#undoToHuman()));
       return;
     }
 
-    // If game is over, ignore inputs
-    if (!this.currentState) return;
-
-    if (key.length !== 1) return;
+    // --- HISTORY NAVIGATION ---
+    if (key === 'ArrowLeft' || key === 'ArrowRight' || key === 'PageUp' || key === 'PageDown') {
+      if (key === 'ArrowLeft') {
+        this.#logFailure(this.#serialize(() => this.#undoToHuman()));
+      } else if (key === 'ArrowRight') {
+        this.#logFailure(this.redo());
+      } else {
+        this.#logFailure(this.switchVariation(key === 'PageUp' ? -1 : 1));
+      }
+      return;
+    }
 
-    // --- INPUT ---
-    const options = this.currentState.getOptions(new GameContext(this.stateHead, () => { }));
-    const nextInput = this.inputBuffer + key;
-    const matches = options.filter(opt => opt.startsWith(nextInput));
+    // --- INPUT --- (ignored if the game is over or an agent holds this seat)
+    const options = this.#humanOptions();
+    if (options.length > 0) {
+      const { handled, commit } = this.input.handleKey(key, options);
+      if (commit !== null) {
+        this.#logFailure(this.transition(commit));
+        return;
+      }
+      if (handled) {
+        this.#updateInputDisplay();
+        return;
+      }
+    }
 
-    if (matches.length === 1) {
-      this.inputBuffer = '';
-      this.#updateInputDisplay();
-      this.transition(matches[0]);
-    } else if (matches.length > 1) {
-      this.inputBuffer = nextInput;
-      this.#updateInputDisplay();
+    // --- UNDO ---
+    if (key === 'Backspace' && this.stateHead.parent) {
+      this.#logFailure(this.#serialize(() => this.#undoToHuman()));
     }
   }
 }
 
 /**
- * Runs Monte Carlo simulations from the current state.
- * @param {Engine} engine
- * @param {number} simulations Number of iterations to run
- * @returns {Object<string, number>|null} Map of winner_id -> count
+ * Replaces a game's `rolloutPolicy` for one call; gets the state as well.
+ * @typedef {(options: string[], context: GameContext, state: GameState) => string|number[]} RolloutPolicy
  */
-export function runMonteCarlo(engine, simulations) {
-  if (!engine.currentState || !engine.stateHead) return null;
 
-  const savedHead = engine.stateHead;
-  const savedState = engine.currentState;
-  /** @type {Object<string, number>} */
-  const results = {};
+/**
+ * Replaces a game's `evaluate` for one call; gets the state as well.
+ * @typedef {(context: GameContext, state: GameState) => Object<string, number>} Evaluator
+ */
 
-  for (let i = 0; i < simulations; i++) {
-    // Reset to start of simulation (the current game state)
-    engine.stateHead = savedHead;
-    engine.currentState = savedState;
-
-    while (engine.currentState) {
-      const options = engine.currentState.getOptions(new GameContext(engine.stateHead, () => { }));
-      let input = null;
-
-      if (options.length === 0) {
-        input = null; // Auto-transition for EndGame
-      } else if (options.length === 1) {
-        input = options[0];
-      } else {
-        // Random choice
-        const idx = Math.floor(Math.random() * options.length);
-        input = options[idx];
-      }
+/**
+ * @typedef {Object} SimulationOptions
+ * @property {number} [seed] Seed for the simulated games.  Defaults to a random
+ *     seed; either way it is reported with the results.
+ * @property {boolean} [keepHistory] Give every simulated step its own
+ *     StateNode, as the engine does.  By default the games are played in place
+ *     on a RolloutNode, which is much faster; keep the history only if the
+ *     game needs `context.node` to be part of a full history chain.
+ * @property {RolloutPolicy|null} [rolloutPolicy] Used instead of the states'
+ *     own `rolloutPolicy`; null picks uniformly at random even if they have one.
+ * @property {Evaluator|null} [evaluate] Used instead of the states' own
+ *     `evaluate`; null plays every game to its end.
+ * @property {number} [maxDepth] Steps after which a simulated game stops at
+ *     the first state that can be evaluated (default: never).
+ */
 
-      // 1. Create history node for the simulation step
-      const newNode = new StateNode(engine.stateHead, engine.currentState);
-      engine.stateHead = newNode;
+/**
+ * @typedef {Object} RolloutOptions
+ * @property {boolean} [keepHistory] See SimulationOptions.
+ * @property {RolloutPolicy|null} [rolloutPolicy] See SimulationOptions.
+ * @property {Evaluator|null} [evaluate] See SimulationOptions.
+ * @property {number} [maxDepth] See SimulationOptions.
+ */
 
-      // 2. Run Logic with NO-OP logger to prevent UI updates
-      const nextState = engine.currentState.processOption(input, new GameContext(engine.stateHead, () => { }));
-      engine.currentState = nextState;
+/**
+ * How a simulated game ended.  `estimate` is set if the game was cut off at
+ * `maxDepth`; `node` then has no outcome.
+ * @typedef {Object} RolloutResult
+ * @property {StateNode} node The last node played.
+ * @property {Object<string, number>|null} estimate The evaluator's payoff per player.
+ */
+
+/**
+ * Plays random options from the given position until the game ends.
+ * Options are picked by the rollout policy, uniformly by default, and chance
+ * nodes draw their outcomes by weight.
+ * Nothing is printed and `head` is left as it was.  With `keepHistory`, the
+ * new history nodes hang off `head` and are dropped once the caller releases
+ * the returned node; otherwise the game is played on a single RolloutNode.
+ * @param {StateNode} head
+ * @param {GameState|null} state
+ * @param {Random} rng Picks the options and serves `context.random()`.
+ * @param {RolloutOptions} [options] `maxDepth` is ignored; see playRollout.
+ * @returns {StateNode} The final node of the finished game.
+ */
+export function playRandomGame(head, state, rng, options = {}) {
+  return playRollout(head, state, rng, { ...options, maxDepth: Infinity }).node;
+}
+
+/**
+ * playRandomGame, stopping after `maxDepth` steps at the first state with an
+ * evaluator and returning its estimate.
+ * @param {StateNode} head
+ * @param {GameState|null} state
+ * @param {Random} rng
+ * @param {RolloutOptions} [options]
+ * @returns {RolloutResult}
+ */
+export function playRollout(head, state, rng, options = {}) {
+  if (!options.keepHistory) return playInPlace(new RolloutNode(head), state, rng, options);
+
+  const maxDepth = options.maxDepth ?? Infinity;
+  for (let depth = 0; state; depth++) {
+    const context = new GameContext(head, () => { }, rng);
+    if (depth >= maxDepth) {
+      const estimate = evaluateState(state, context, options.evaluate);
+      if (estimate) return { node: head, estimate };
     }
+    const input = pickRolloutOption(state, context, rng, options.rolloutPolicy);
+
+    // 1. Create history node for the simulation step
+    head = new StateNode(head, state);
+
+    // 2. Run Logic with NO-OP logger to prevent UI updates
+    state = state.processOption(input, new GameContext(head, () => { }, rng));
+  }
+  return { node: head, estimate: null };
+}
 
-    // Game Over for this simulation run
-    if (engine.stateHead.winner !== -1) {
-      const w = engine.stateHead.winner;
-      results[w] = (results[w] || 0) + 1;
+/**
+ * playRollout without history: every step reuses `node` and one context.
+ * @param {RolloutNode} node
+ * @param {GameState|null} state
+ * @param {Random} rng
+ * @param {RolloutOptions} options
+ * @returns {RolloutResult}
+ */
+function playInPlace(node, state, rng, options) {
+  const context = new GameContext(node, () => { }, rng);
+  const maxDepth = options.maxDepth ?? Infinity;
+  for (let depth = 0; state; depth++) {
+    if (depth >= maxDepth) {
+      const estimate = evaluateState(state, context, options.evaluate);
+      if (estimate) return { node, estimate };
     }
+    const input = pickRolloutOption(state, context, rng, options.rolloutPolicy);
+    node.step();
+    state = state.processOption(input, context);
+  }
+  return { node, estimate: null };
+}
+
+/**
+ * The input a simulated game gives `state`: a weighted chance outcome, the
+ * only option, the rollout policy's pick, or null for states without options.
+ * @param {GameState} state
+ * @param {GameContext} context
+ * @param {Random} rng
+ * @param {RolloutPolicy|null|undefined} policy Overrides the state's own.
+ * @returns {string|null}
+ */
+function pickRolloutOption(state, context, rng, policy) {
+  const outcomes = getChanceOutcomes(state, context);
+  if (outcomes) return sampleChance(outcomes, rng);
+
+  const options = state.getOptions(context);
+  if (!Array.isArray(options)) throw new Error(SYNC_STATES_ONLY);
+  if (options.length === 0) return null; // Auto-transition for EndGame
+  if (options.length === 1) return options[0];
+
+  const choice = policy !== undefined ? policy && policy(options, context, state)
+    : state.rolloutPolicy ? state.rolloutPolicy(options, context) : null;
+  if (choice === null) return options[Math.floor(rng.random() * options.length)];
+  if (typeof choice === 'string') {
+    if (!options.includes(choice)) throw new Error(`The rollout policy picked "${choice}", which is not an option`);
+    return choice;
+  }
+  if (choice.length !== options.length) throw new Error('The rollout policy must return one weight per option');
+  let total = 0;
+  for (const weight of choice) total += weight;
+  let r = rng.random() * total;
+  for (let i = 0; i < options.length; i++) {
+    r -= choice[i];
+    if (r < 0) return options[i];
+  }
+  return options[options.length - 1];
+}
+
+/**
+ * The estimate of the evaluator, or null if there is none.
+ * @param {GameState} state
+ * @param {GameContext} context
+ * @param {Evaluator|null|undefined} evaluate Overrides the state's own.
+ * @returns {Object<string, number>|null}
+ */
+function evaluateState(state, context, evaluate) {
+  if (evaluate !== undefined) return evaluate && evaluate(context, state);
+  return state.evaluate ? state.evaluate(context) : null;
+}
+
+/**
+ * Adds a simulated game to the statistics: its outcome, or its estimate.
+ * @param {SimulationStats} stats
+ * @param {RolloutResult} result
+ */
+function addRollout(stats, result) {
+  if (result.estimate) {
+    addEstimate(stats, result.estimate);
+  } else {
+    addOutcome(stats, result.node.outcome);
   }
+}
 
-  // Restore the actual game state
-  engine.stateHead = savedHead;
-  engine.currentState = savedState;
+/**
+ * Runs Monte Carlo simulations from the current state.
+ * @param {Position} engine
+ * @param {number} simulations Number of iterations to run
+ * @param {SimulationOptions} [options]
+ * @returns {SimulationStats|null} Wins, draws and expected score per player.
+ */
+export function runMonteCarlo(engine, simulations, options = {}) {
+  if (!engine.currentState || !engine.stateHead) return null;
+
+  const rng = new Random(options.seed);
+  const results = createStats(rng.seed);
+
+  for (let i = 0; i < simulations; i++) {
+    // Every simulation starts from the current game state; the engine itself is left untouched.
+    addRollout(results, playRollout(engine.stateHead, engine.currentState, rng, options));
+  }
 
   return results;
 }
 
+/**
+ * @typedef {Object} OptionSimulationOptions
+ * @property {number} [seed] Seed for the simulated games, as for runMonteCarlo.
+ * @property {string[]} [only] Evaluate just these options instead of all of them.
+ * @property {boolean} [keepHistory] As for runMonteCarlo.
+ * @property {RolloutPolicy|null} [rolloutPolicy] As for runMonteCarlo.
+ * @property {Evaluator|null} [evaluate] As for runMonteCarlo.
+ * @property {number} [maxDepth] As for runMonteCarlo, counted after the option.
+ */
+
 /**
  * Runs Monte Carlo simulations for each valid option of the current state.
- * Returns the win count for the *current active player* for each option.
+ * Returns the statistics of each option; compare `expectedScores` (or `wins`)
+ * of the *current active player* to rank them.
  * 
- * @param {Engine} engine
+ * @param {Position} engine
  * @param {number} simulationsPerOption
- * @returns {Object<string, number>|null} Map of option -> win_count for current player
+ * @param {OptionSimulationOptions} [simOptions]
+ * @returns {Object<string, SimulationStats>|null} Map of option -> stats
  */
-export function runOptionMonteCarlo(engine, simulationsPerOption) {
+export function runOptionMonteCarlo(engine, simulationsPerOption, simOptions = {}) {
   if (!engine.currentState || !engine.stateHead) return null;
 
   const rootHead = engine.stateHead;
@@ -319,32 +1492,26 @@ export function runOptionMonteCarlo(engine, simulationsPerOption) {
   // If no valid player is active (e.g. setup phase), we can't estimate "this" player's wins.
   if (activePlayer === -1) return null;
 
-  const options = engine.currentState.getOptions(new GameContext(engine.stateHead, () => { }));
-  /** @type {Object<string, number>} */
+  const rng = new Random(simOptions.seed);
+  const options = simOptions.only || rootState.getOptions(new GameContext(rootHead, () => { }, rng));
+  if (!Array.isArray(options)) throw new Error(SYNC_STATES_ONLY);
+  /** @type {Object<string, SimulationStats>} */
   const results = {};
 
   for (const opt of options) {
-    // 1. Reset to the root state
-    engine.stateHead = rootHead;
-    engine.currentState = rootState;
-
-    // 2. Perform the single transition for this option (manually)
-    const newNode = new StateNode(engine.stateHead, engine.currentState);
-    engine.stateHead = newNode;
-    const nextState = engine.currentState.processOption(opt, new GameContext(engine.stateHead, () => { }));
-    engine.currentState = nextState;
-
-    // 3. Run Monte Carlo from this new hypothetical state
-    // runMonteCarlo saves and restores the state internally, so it won't mess up our loop iteration state (which is the hypothetical state)
-    const simResults = runMonteCarlo(engine, simulationsPerOption);
+    // 1. Perform the single transition for this option (manually)
+    const newNode = new StateNode(rootHead, rootState);
+    newNode.input = opt;
+    const nextState = rootState.processOption(opt, new GameContext(newNode, () => { }, rng));
+    if (isPromise(nextState)) throw new Error(SYNC_STATES_ONLY);
 
-    // 4. Record wins for the original active player
-    results[opt] = simResults[activePlayer] || 0;
+    // 2. Run Monte Carlo from this new hypothetical state; the engine position is never touched
+    const stats = createStats(rng.seed);
+    for (let i = 0; i < simulationsPerOption; i++) {
+      addRollout(stats, playRollout(newNode, nextState, rng, simOptions));
+    }
+    results[opt] = stats;
   }
 
-  // Final Restore
-  engine.stateHead = rootHead;
-  engine.currentState = rootState;
-
   return results;
-}
\ No newline at end of file
+}
@@ -0,0 +1,91 @@
+//@ts-check
+
+import { OptionInput } from './option-input.js';
+
+/** @typedef {import('./renderer.js').Renderer} Renderer */
+/** @typedef {import('./registry.js').RegisteredGame} RegisteredGame */
+
+/**
+ * The start screen: lists the games in the terminal and lets the player pick
+ * one by number.  Typing works like game input (see OptionInput), and the
+ * numbers are offered as options to click.
+ */
+export class GameMenu {
+  /**
+   * @param {Renderer} renderer
+   * @param {RegisteredGame[]} games
+   * @param {(game: RegisteredGame) => void} onSelect
+   */
+  constructor(renderer, games, onSelect) {
+    this.renderer = renderer;
+    this.games = games;
+    this.onSelect = onSelect;
+    /** Whether the menu is on screen and takes the keyboard. */
+    this.active = false;
+    this.input = new OptionInput();
+  }
+
+  /**
+   * Clears the terminal and lists the games.
+   */
+  show() {
+    this.active = true;
+    this.input.reset();
+    this.renderer.clear();
+    this.renderer.print('Select a game:');
+    this.games.forEach((game, i) => {
+      const players = game.minPlayers === game.maxPlayers
+        ? `${game.minPlayers} players`
+        : `${game.minPlayers}-${game.maxPlayers} players`;
+      this.renderer.print(`${i + 1}. ${game.title} (${players})`);
+      this.renderer.print(`   ${game.description}`);
+    });
+    this.#updateInputDisplay();
+  }
+
+  /**
+   * Stops taking the keyboard, e.g. because a game was started elsewhere.
+   */
+  hide() {
+    this.active = false;
+    this.input.reset();
+  }
+
+  /**
+   * @returns {string[]} The menu's options: the games' numbers.
+   */
+  #numbers() {
+    return this.games.map((_, i) => String(i + 1));
+  }
+
+  #updateInputDisplay() {
+    this.renderer.setInput(`> ${this.input.buffer}_`);
+    if (this.renderer.setOptions) {
+      this.renderer.setOptions(this.input.matches(this.#numbers()), this.input.buffer,
+        (number) => this.#select(number));
+    }
+  }
+
+  /**
+   * @param {string} number 1-based position in the list.
+   */
+  #select(number) {
+    const game = this.games[parseInt(number) - 1];
+    if (!this.active || !game) return;
+    this.hide();
+    this.onSelect(game);
+  }
+
+  /**
+   * @param {string} key A KeyboardEvent key.
+   */
+  handleKeydown(key) {
+    if (!this.active) return;
+    const { commit } = this.input.handleKey(key, this.#numbers());
+    if (commit !== null) {
+      this.#select(commit);
+    } else {
+      this.#updateInputDisplay();
+    }
+  }
+}
@@ -0,0 +1,394 @@
+//@ts-check
+
+// The authoritative game server: every room runs one Engine, and browsers (or
+// NetSession in Node) connect over WebSocket to watch it and play their seat.
+// Only the server applies moves, so every client sees the same game.
+
+import http from 'node:http';
+import { Engine, GameContext } from './engine.js';
+import { getGame, listGames } from './registry.js';
+import { acceptWebSocket } from './websocket.js';
+
+/** @typedef {import('./engine.js').LogLine} LogLine */
+/** @typedef {import('./engine.js').StateNode} StateNode */
+/** @typedef {import('./outcome.js').Outcome} Outcome */
+/** @typedef {import('./output.js').Output} Output */
+/** @typedef {import('./registry.js').GameInfo} GameInfo */
+/** @typedef {import('./websocket.js').MessageSocket} MessageSocket */
+
+/**
+ * A message from a client.  `join` enters a room, creating it for `game` if
+ * it does not exist; `claim` takes a free seat and `release` gives it back;
+ * `move` plays an option on the client's turn; `undo` asks to take back the
+ * last move, which happens once every seated player agreed with `undoAnswer`.
+ * @typedef {{type: 'join', room: string, game?: string, seed?: number}
+ *   | {type: 'claim', player: number}
+ *   | {type: 'release'}
+ *   | {type: 'move', option: string}
+ *   | {type: 'undo'}
+ *   | {type: 'undoAnswer', accept: boolean}} ClientMessage
+ */
+
+/**
+ * The game as one client sees it, sent after every change.
+ * @typedef {Object} RoomState
+ * @property {string} room
+ * @property {{id: string, title: string, minPlayers: number, maxPlayers: number}} game
+ * @property {number|null} you The client's seat, or null for a spectator.
+ * @property {number[]} seats Taken seats.
+ * @property {number} activePlayer
+ * @property {string[]} options The options of the player to move.
+ * @property {boolean} finished
+ * @property {Outcome|null} outcome
+ * @property {string[]} moves The moves played so far.
+ * @property {{by: number, waitingFor: number[]}|null} undo A pending undo request.
+ */
+
+/**
+ * A message from the server.  The log arrives as `log` (lines to append) or,
+ * after an undo or a change of seat, as `transcript` (the whole log again).
+ * Each client only gets the lines its seat may read.
+ * @typedef {{type: 'log', lines: Output[]}
+ *   | {type: 'transcript', lines: Output[]}
+ *   | ({type: 'state'} & RoomState)
+ *   | {type: 'notice', message: string}
+ *   | {type: 'error', message: string}} ServerMessage
+ */
+
+/**
+ * @typedef {Object} Client
+ * @property {MessageSocket} socket
+ * @property {Room|null} room
+ * @property {number|null} seat
+ * @property {LogLine[]} sent The log lines the client has, in order.
+ */
+
+export const DEFAULT_PORT = 8787;
+
+/**
+ * One game and the clients watching it.
+ */
+class Room {
+  /**
+   * Creates a room with its game started.  Rejects if an asynchronous game
+   * fails to start.
+   * @param {string} id
+   * @param {GameInfo} game
+   * @param {number} [seed]
+   * @returns {Promise<Room>}
+   */
+  static async create(id, game, seed) {
+    const room = new Room(id, game);
+    await room.engine.initGame(game.createStartState(), seed);
+    return room;
+  }
+
+  /**
+   * Use Room.create, which also starts the game.
+   * @param {string} id
+   * @param {GameInfo} game
+   */
+  constructor(id, game) {
+    this.id = id;
+    this.game = game;
+    this.engine = new Engine();
+    /** @type {Set<Client>} */
+    this.clients = new Set();
+    /** @type {Map<number, Client>} */
+    this.seats = new Map();
+    /** @type {{by: number, approvals: Set<number>}|null} */
+    this.undoRequest = null;
+  }
+
+  /**
+   * Brings every client up to date: new log lines, then the state.
+   */
+  async sync() {
+    const options = await currentOptions(this.engine);
+    for (const client of this.clients) this.#syncClient(client, options);
+  }
+
+  /**
+   * @param {Client} client
+   * @param {string[]} options
+   */
+  #syncClient(client, options) {
+    const lines = visibleLines(this.engine.stateHead, client.seat);
+    const kept = client.sent.length <= lines.length && client.sent.every((line, i) => line === lines[i]);
+    if (!kept) {
+      send(client, { type: 'transcript', lines: lines.map(line => line.output) });
+    } else if (lines.length > client.sent.length) {
+      send(client, { type: 'log', lines: lines.slice(client.sent.length).map(line => line.output) });
+    }
+    client.sent = lines;
+
+    const engine = this.engine;
+    const undo = this.undoRequest;
+    send(client, {
+      type: 'state',
+      room: this.id,
+      game: { id: this.game.id, title: this.game.title, minPlayers: this.game.minPlayers, maxPlayers: this.game.maxPlayers },
+      you: client.seat,
+      seats: [...this.seats.keys()].sort((a, b) => a - b),
+      activePlayer: engine.getActivePlayer(),
+      options,
+      finished: engine.currentState === null,
+      outcome: engine.stateHead ? engine.stateHead.outcome : null,
+      moves: engine.getMoveHistory(),
+      undo: undo ? { by: undo.by, waitingFor: [...this.seats.keys()].filter(seat => !undo.approvals.has(seat)) } : null,
+    });
+  }
+
+  /**
+   * Takes the last move back if every seated player agreed.
+   * @returns {Promise<boolean>} Whether it did.
+   */
+  async undoIfAgreed() {
+    const request = this.undoRequest;
+    if (!request || [...this.seats.keys()].some(seat => !request.approvals.has(seat))) return false;
+    this.undoRequest = null;
+    await this.engine.recursiveUndo();
+    return true;
+  }
+}
+
+/**
+ * Hosts rooms over WebSocket.  Rooms are created by the first client joining
+ * them and dropped when the last one leaves.
+ */
+export class GameServer {
+  constructor() {
+    /** @type {Map<string, Room>} */
+    this.rooms = new Map();
+    /** @type {Set<Client>} */
+    this.clients = new Set();
+    this.httpServer = http.createServer((request, response) => {
+      response.writeHead(426, { 'Content-Type': 'text/plain' });
+      response.end('Connect with a WebSocket.\n');
+    });
+    this.httpServer.on('upgrade', (request, socket, head) => {
+      const connection = acceptWebSocket(request, socket, head);
+      if (connection) this.connect(connection);
+    });
+  }
+
+  /**
+   * @param {number} [port] 0 picks a free port.
+   * @param {string} [host] Only this machine by default.
+   * @returns {Promise<number>} The port listened on.
+   */
+  listen(port = DEFAULT_PORT, host = 'localhost') {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off('error', reject);
+        const address = this.httpServer.address();
+        resolve(typeof address === 'object' && address ? address.port : port);
+      });
+    });
+  }
+
+  /**
+   * Disconnects every client and stops listening.
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const client of this.clients) client.socket.close(1001, 'Server shutting down');
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+
+  /**
+   * Serves a client over an open socket.
+   * @param {MessageSocket} socket
+   */
+  connect(socket) {
+    /** @type {Client} */
+    const client = { socket, room: null, seat: null, sent: [] };
+    this.clients.add(client);
+    // One message at a time, so a client's moves are applied in order.
+    let queue = Promise.resolve();
+    socket.onmessage = (event) => {
+      queue = queue.then(() => this.#receive(client, event.data)).catch(err => {
+        send(client, { type: 'error', message: err instanceof Error ? err.message : String(err) });
+      });
+    };
+    socket.onclose = () => {
+      this.clients.delete(client);
+      // The client is gone, so a failure to leave can only be logged.
+      queue = queue.then(() => this.#leave(client)).catch(err => console.error(err));
+    };
+  }
+
+  /**
+   * @param {Client} client
+   * @param {any} data
+   */
+  async #receive(client, data) {
+    /** @type {ClientMessage} */
+    let message;
+    try {
+      message = JSON.parse(String(data));
+    } catch {
+      throw new Error('Messages must be JSON');
+    }
+    if (!message || typeof message !== 'object') throw new Error('Messages must be JSON objects');
+
+    if (message.type === 'join') {
+      await this.#join(client, message.room, message.game, message.seed);
+      return;
+    }
+    const room = client.room;
+    if (!room) throw new Error('Join a room first');
+
+    if (message.type === 'claim') {
+      const player = message.player;
+      if (!Number.isInteger(player) || player < 1 || player > room.game.maxPlayers) {
+        throw new Error(`Seats are 1-${room.game.maxPlayers}`);
+      }
+      const holder = room.seats.get(player);
+      if (holder && holder !== client) throw new Error(`Seat ${player} is taken`);
+      this.#releaseSeat(client);
+      room.seats.set(player, client);
+      client.seat = player;
+    } else if (message.type === 'release') {
+      this.#releaseSeat(client);
+    } else if (message.type === 'move') {
+      await this.#move(room, client, message.option);
+    } else if (message.type === 'undo') {
+      if (client.seat === null) throw new Error('Only seated players can ask for an undo');
+      if (room.undoRequest) throw new Error('An undo is already being decided');
+      if (room.engine.pending) throw new Error('Wait for the last move to finish');
+      if (room.engine.getMoveHistory().length === 0) throw new Error('There is no move to undo');
+      room.undoRequest = { by: client.seat, approvals: new Set([client.seat]) };
+    } else if (message.type === 'undoAnswer') {
+      const request = room.undoRequest;
+      if (!request) throw new Error('No undo is being decided');
+      if (client.seat === null) throw new Error('Only seated players decide on an undo');
+      if (message.accept) {
+        request.approvals.add(client.seat);
+      } else {
+        room.undoRequest = null;
+        broadcast(room, { type: 'notice', message: `Player ${client.seat} declined the undo.` });
+      }
+    } else {
+      throw new Error(`Unknown message type: ${/** @type {any} */ (message).type}`);
+    }
+    await room.undoIfAgreed();
+    await room.sync();
+  }
+
+  /**
+   * @param {Client} client
+   * @param {unknown} roomId
+   * @param {unknown} gameId
+   * @param {unknown} seed
+   */
+  async #join(client, roomId, gameId, seed) {
+    if (typeof roomId !== 'string' || !roomId) throw new Error('join needs a room name');
+    let room = this.rooms.get(roomId);
+    if (room && gameId !== undefined && gameId !== room.game.id) {
+      throw new Error(`Room ${roomId} is playing ${room.game.title}`);
+    }
+    if (!room) {
+      if (typeof gameId !== 'string') throw new Error(`Room ${roomId} does not exist yet; name a game to create it`);
+      const game = getGame(gameId);
+      if (!game) throw new Error(`Unknown game: ${gameId} (registered: ${listGames().map(g => g.id).join(', ')})`);
+      room = await Room.create(roomId, game, typeof seed === 'number' ? seed : undefined);
+      this.rooms.set(roomId, room);
+    }
+    if (client.room !== room) {
+      await this.#leave(client);
+      client.room = room;
+      client.sent = [];
+      room.clients.add(client);
+    }
+    await room.sync();
+  }
+
+  /**
+   * @param {Room} room
+   * @param {Client} client
+   * @param {unknown} option
+   */
+  async #move(room, client, option) {
+    const engine = room.engine;
+    if (client.seat === null) throw new Error('Claim a seat to play');
+    if (engine.pending) throw new Error('Wait for the last move to finish');
+    if (!engine.currentState) throw new Error('The game is over');
+    if (engine.getActivePlayer() !== client.seat) throw new Error(`It is not your turn; player ${engine.getActivePlayer()} is to move`);
+    const options = await currentOptions(engine);
+    if (typeof option !== 'string' || !options.includes(option)) {
+      throw new Error(`Not an option: ${option}; options are ${options.join(', ')}`);
+    }
+    room.undoRequest = null;
+    await engine.transition(option);
+  }
+
+  /**
+   * @param {Client} client
+   */
+  #releaseSeat(client) {
+    const room = client.room;
+    if (!room || client.seat === null) return;
+    room.seats.delete(client.seat);
+    if (room.undoRequest && room.undoRequest.by === client.seat) room.undoRequest = null;
+    client.seat = null;
+  }
+
+  /**
+   * @param {Client} client
+   */
+  async #leave(client) {
+    const room = client.room;
+    if (!room) return;
+    this.#releaseSeat(client);
+    room.clients.delete(client);
+    client.room = null;
+    if (room.clients.size === 0) {
+      this.rooms.delete(room.id);
+      return;
+    }
+    await room.undoIfAgreed();
+    await room.sync();
+  }
+}
+
+/**
+ * @param {Engine} engine
+ * @returns {Promise<string[]>}
+ */
+async function currentOptions(engine) {
+  if (!engine.currentState || !engine.stateHead || engine.pending) return [];
+  return engine.currentState.getOptions(new GameContext(engine.stateHead, () => { }));
+}
+
+/**
+ * The log of the current line that `seat` may read; spectators (null) only
+ * get public lines.
+ * @param {StateNode|null} head
+ * @param {number|null} seat
+ * @returns {LogLine[]}
+ */
+function visibleLines(head, seat) {
+  /** @type {StateNode[]} */
+  const path = [];
+  for (let n = head; n; n = n.parent) path.push(n);
+  return path.reverse().flatMap(node =>
+    node.lines.filter(line => !line.visibleTo || (seat !== null && line.visibleTo.includes(seat))));
+}
+
+/**
+ * @param {Client} client
+ * @param {ServerMessage} message
+ */
+function send(client, message) {
+  client.socket.send(JSON.stringify(message));
+}
+
+/**
+ * @param {Room} room
+ * @param {ServerMessage} message
+ */
+function broadcast(room, message) {
+  for (const client of room.clients) send(client, message);
+}
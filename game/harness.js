@@ -0,0 +1,201 @@
+//@ts-check
+
+import { Engine, GameContext, isPromise } from './engine.js';
+import { TextRenderer } from './renderer.js';
+
+/** @typedef {import('./engine.js').GameState} GameState */
+/** @typedef {import('./outcome.js').Outcome} Outcome */
+
+/**
+ * @typedef {Object} ScriptOptions
+ * @property {number} [seed] Seed for the game's random numbers (default 1).
+ * @property {number} [viewer] Record the transcript as this player sees it;
+ *     everything by default.
+ */
+
+/**
+ * What a script left behind.
+ * @typedef {Object} ScriptResult
+ * @property {string[]} transcript Everything printed, one entry per line;
+ *     grids and tables take one entry per row.
+ * @property {Object<string, any>} kvs The current value of every key.
+ * @property {number[]} activePlayers The player who made each scripted move.
+ * @property {number} activePlayer The player to move now, -1 if none.
+ * @property {string[]} options The options on offer now.
+ * @property {boolean} finished True once the game is over.
+ * @property {Outcome|null} outcome
+ * @property {Engine} engine The engine the script ran on, to go on from.
+ */
+
+const SYNC_STATES_ONLY = 'playScript needs synchronous states; for an asynchronous game, drive an Engine and await its methods';
+
+/**
+ * Plays a game headless from its start through the given moves.  Forced moves
+ * (a single option) are played automatically, as in the browser, so leave
+ * them out of the script.  Throws if a move is not an option at its turn, or
+ * if a state returns a promise.
+ *
+ * @example
+ * const result = playScript(StartState, ['5', '1', '9']);
+ * assertOptions(result, ['2', '3', '4', '6', '7', '8']);
+ *
+ * @param {(new () => GameState)|(() => GameState)} start The game's StartState
+ *     class, or a function creating the start state such as
+ *     `GAME_INFO.createStartState`.
+ * @param {string[]} moves
+ * @param {ScriptOptions} [options]
+ * @returns {ScriptResult}
+ */
+export function playScript(start, moves, options = {}) {
+  const engine = new Engine(new TextRenderer());
+  if (options.viewer !== undefined) engine.setViewer(options.viewer);
+  syncOnly(engine.initGame(createStartState(start), options.seed ?? 1));
+
+  /** @type {number[]} */
+  const activePlayers = [];
+  moves.forEach((move, i) => {
+    const legal = currentOptions(engine);
+    if (!legal.includes(move)) {
+      const where = engine.currentState ? `options are ${legal.join(', ')}` : 'the game is over';
+      throw new Error(`Move ${i + 1} "${move}" is not an option: ${where}`);
+    }
+    activePlayers.push(engine.getActivePlayer());
+    syncOnly(engine.transition(move));
+  });
+
+  const renderer = /** @type {TextRenderer} */ (engine.renderer);
+  return {
+    transcript: renderer.lines.flatMap(line => line.text.split('\n')),
+    kvs: engine.stateHead ? Object.fromEntries(engine.stateHead.flatten()) : {},
+    activePlayers,
+    activePlayer: engine.getActivePlayer(),
+    options: currentOptions(engine),
+    finished: engine.currentState === null,
+    outcome: engine.stateHead ? engine.stateHead.outcome : null,
+    engine,
+  };
+}
+
+/**
+ * @param {(new () => GameState)|(() => GameState)} start
+ * @returns {GameState}
+ */
+function createStartState(start) {
+  if (start.prototype && typeof start.prototype.processOption === 'function') {
+    return new /** @type {new () => GameState} */ (start)();
+  }
+  return /** @type {() => GameState} */ (start)();
+}
+
+/**
+ * @param {Engine} engine
+ * @returns {string[]}
+ */
+function currentOptions(engine) {
+  if (!engine.currentState || !engine.stateHead) return [];
+  return syncOnly(engine.currentState.getOptions(new GameContext(engine.stateHead, () => { })));
+}
+
+/**
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+function syncOnly(value) {
+  if (isPromise(value)) throw new Error(SYNC_STATES_ONLY);
+  return value;
+}
+
+// --- Assertions ---
+// They throw an Error describing the mismatch, so they work with any test runner.
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function show(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {ScriptResult} result
+ * @param {number} player
+ */
+export function assertWinner(result, player) {
+  if (!result.finished) throw new Error(`Expected player ${player} to win, but the game is not over`);
+  const winners = result.outcome ? result.outcome.winners : [];
+  if (winners.length !== 1 || winners[0] !== player) {
+    throw new Error(`Expected player ${player} to win, got ${describeOutcome(result.outcome)}`);
+  }
+}
+
+/**
+ * @param {ScriptResult} result
+ */
+export function assertDraw(result) {
+  if (!result.finished || !result.outcome || !result.outcome.draw) {
+    throw new Error(`Expected a draw, got ${result.finished ? describeOutcome(result.outcome) : 'a game in progress'}`);
+  }
+}
+
+/**
+ * @param {ScriptResult} result
+ */
+export function assertNotFinished(result) {
+  if (result.finished) throw new Error(`Expected the game to go on, but it ended: ${describeOutcome(result.outcome)}`);
+}
+
+/**
+ * @param {ScriptResult} result
+ * @param {number} player
+ */
+export function assertActivePlayer(result, player) {
+  if (result.activePlayer !== player) {
+    throw new Error(`Expected player ${player} to move, got player ${result.activePlayer}`);
+  }
+}
+
+/**
+ * Checks the options on offer, in order.
+ * @param {ScriptResult} result
+ * @param {string[]} options
+ */
+export function assertOptions(result, options) {
+  if (show(result.options) !== show(options)) {
+    throw new Error(`Expected options ${show(options)}, got ${show(result.options)}`);
+  }
+}
+
+/**
+ * Compares the current value of `key` as JSON, so arrays and objects compare
+ * by content.
+ * @param {ScriptResult} result
+ * @param {string} key
+ * @param {any} expected
+ */
+export function assertValue(result, key, expected) {
+  if (show(result.kvs[key]) !== show(expected)) {
+    throw new Error(`Expected ${key} to be ${show(expected)}, got ${show(result.kvs[key])}`);
+  }
+}
+
+/**
+ * Checks that some line of the transcript contains `text`.
+ * @param {ScriptResult} result
+ * @param {string} text
+ */
+export function assertPrinted(result, text) {
+  if (!result.transcript.some(line => line.includes(text))) {
+    throw new Error(`Expected the transcript to contain ${show(text)}:\n${result.transcript.join('\n')}`);
+  }
+}
+
+/**
+ * @param {Outcome|null} outcome
+ * @returns {string}
+ */
+function describeOutcome(outcome) {
+  if (!outcome) return 'no outcome';
+  if (outcome.draw) return 'a draw';
+  return `winners ${show(outcome.winners)}`;
+}
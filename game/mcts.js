@@ -0,0 +1,252 @@
+//@ts-check
+
+import { GameContext, StateNode, getChanceOutcomes, playRandomGame, sampleChance } from './engine.js';
+import { Random } from './random.js';
+
+/** @typedef {import('./engine.js').Position} Position */
+/** @typedef {import('./engine.js').GameState} GameState */
+/** @typedef {import('./engine.js').ChanceOutcome} ChanceOutcome */
+
+/**
+ * @typedef {Object} MctsOptions
+ * @property {number} [iterations] Maximum number of search iterations.  Defaults
+ *     to 1000, or unlimited when only `timeLimitMs` is given.
+ * @property {number} [timeLimitMs] Stop searching after this many milliseconds.
+ * @property {number} [exploration] UCT exploration constant (default sqrt(2)).
+ * @property {number} [seed] Seed for the search.  Defaults to a random seed;
+ *     either way it is reported with the result.
+ * @property {boolean} [keepHistory] Keep a history node per playout step, as
+ *     for runMonteCarlo.  The search tree itself always keeps its nodes.
+ */
+
+/**
+ * @typedef {Object} MctsOptionStats
+ * @property {number} visits Number of iterations that went through this option.
+ * @property {number} value Mean score for the active player: 1 for a win, 0
+ *     for a loss, a share of the point for draws and shared wins.
+ */
+
+/**
+ * @typedef {Object} MctsResult
+ * @property {number} player The player the values are reported for.
+ * @property {number} seed Seed the search ran with.
+ * @property {number} iterations Number of iterations actually run.
+ * @property {Object<string, MctsOptionStats>} options Stats for each option of the current state.
+ * @property {string|null} bestOption The most visited option.
+ * @property {string[]} principalVariation Most visited line of play from the
+ *     current state, up to the first chance node.
+ */
+
+/**
+ * A node of the search tree.  Each node wraps the history node reached after
+ * an option has been played and any automatic transitions have been taken, so
+ * every non-terminal node is a real decision point or a chance node.  Chance
+ * nodes get one child per outcome drawn so far.
+ */
+class SearchNode {
+  /**
+   * @param {StateNode} head
+   * @param {GameState|null} state
+   * @param {SearchNode|null} parent
+   * @param {string|null} option The option that led here from the parent.
+   * @param {Random} rng
+   */
+  constructor(head, state, parent, option, rng) {
+    this.head = head;
+    this.state = state;
+    this.parent = parent;
+    this.option = option;
+    /** The player choosing among this node's children. */
+    this.player = head.activePlayer;
+    const context = new GameContext(head, () => { }, rng);
+    /** Set if the children are drawn rather than chosen. */
+    /** @type {ChanceOutcome[]|null} */
+    this.chance = state ? getChanceOutcomes(state, context) : null;
+    /** @type {string[]} */
+    this.untried = state && !this.chance ? [...state.getOptions(context)] : [];
+    /** @type {SearchNode[]} */
+    this.children = [];
+    this.visits = 0;
+    /** Sum of the final scores per player over all visits. */
+    /** @type {Object<string, number>} */
+    this.totals = {};
+  }
+
+  /**
+   * Mean score for `player` over all visits.
+   * @param {number} player
+   * @returns {number}
+   */
+  value(player) {
+    if (this.visits === 0) return 0;
+    return (this.totals[player] || 0) / this.visits;
+  }
+}
+
+/**
+ * Takes transitions with zero or one option, as the engine does, so the search
+ * only branches where a player actually has a choice or chance decides.
+ * @param {StateNode} head
+ * @param {GameState|null} state
+ * @param {Random} rng
+ * @returns {{head: StateNode, state: GameState|null}}
+ */
+function advance(head, state, rng) {
+  while (state) {
+    const context = new GameContext(head, () => { }, rng);
+    if (getChanceOutcomes(state, context)) break;
+    const options = state.getOptions(context);
+    if (options.length > 1) break;
+    head = new StateNode(head, state);
+    state = state.processOption(options.length === 1 ? options[0] : null, new GameContext(head, () => { }, rng));
+  }
+  return { head, state };
+}
+
+/**
+ * Plays `option` at `node` and adds the resulting position as a child.
+ * @param {SearchNode} node
+ * @param {string} option
+ * @param {Random} rng
+ * @returns {SearchNode}
+ */
+function expand(node, option, rng) {
+  if (!node.state) throw new Error('Cannot expand a finished game');
+  const head = new StateNode(node.head, node.state);
+  const state = node.state.processOption(option, new GameContext(head, () => { }, rng));
+  const next = advance(head, state, rng);
+  const child = new SearchNode(next.head, next.state, node, option, rng);
+  node.children.push(child);
+  return child;
+}
+
+/**
+ * Picks the child with the highest UCT score for the player to move.  When no
+ * player is active (e.g. a setup phase) children are chosen uniformly.
+ * @param {SearchNode} node
+ * @param {number} exploration
+ * @param {Random} rng
+ * @returns {SearchNode}
+ */
+function selectChild(node, exploration, rng) {
+  if (node.player === -1) {
+    return node.children[Math.floor(rng.random() * node.children.length)];
+  }
+  const logVisits = Math.log(node.visits);
+  let best = node.children[0];
+  let bestScore = -Infinity;
+  for (const child of node.children) {
+    const score = child.value(node.player) + exploration * Math.sqrt(logVisits / child.visits);
+    if (score > bestScore) {
+      best = child;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {SearchNode} node
+ * @returns {SearchNode|null}
+ */
+function mostVisitedChild(node) {
+  let best = null;
+  for (const child of node.children) {
+    if (!best || child.visits > best.visits) best = child;
+  }
+  return best;
+}
+
+/**
+ * Evaluates the options of the current state with Monte Carlo Tree Search
+ * (UCT).  Unlike runOptionMonteCarlo, the budget is spent where it matters and
+ * the opponents' replies are searched too, so the values approximate strong
+ * play rather than random play.  The engine position is not modified.
+ *
+ * @param {Position} engine
+ * @param {MctsOptions} [options]
+ * @returns {MctsResult|null} null when the game is over or no player is active.
+ */
+export function runMcts(engine, options = {}) {
+  if (!engine.currentState || !engine.stateHead) return null;
+
+  const {
+    timeLimitMs = 0,
+    iterations = timeLimitMs > 0 ? Infinity : 1000,
+    exploration = Math.SQRT2,
+  } = options;
+
+  const rng = new Random(options.seed);
+  const root = new SearchNode(engine.stateHead, engine.currentState, null, null, rng);
+  if (root.player === -1) return null;
+
+  const deadline = timeLimitMs > 0 ? Date.now() + timeLimitMs : Infinity;
+  let count = 0;
+  while (count < iterations && Date.now() < deadline) {
+    // 1. Selection and 2. Expansion.  Chance nodes draw an outcome and
+    // descend into it, expanding it the first time it is drawn.
+    let node = root;
+    while (true) {
+      if (node.chance) {
+        const option = sampleChance(node.chance, rng);
+        const child = node.children.find(c => c.option === option);
+        if (child) {
+          node = child;
+          continue;
+        }
+        node = expand(node, option, rng);
+        break;
+      }
+      if (node.untried.length > 0) {
+        const idx = Math.floor(rng.random() * node.untried.length);
+        const [option] = node.untried.splice(idx, 1);
+        node = expand(node, option, rng);
+        break;
+      }
+      if (node.children.length === 0) break;
+      node = selectChild(node, exploration, rng);
+    }
+
+    // 3. Simulation
+    const outcome = playRandomGame(node.head, node.state, rng, options).outcome;
+    const scores = outcome ? Object.entries(outcome.scores) : [];
+
+    // 4. Backpropagation
+    /** @type {SearchNode|null} */
+    let n = node;
+    while (n) {
+      n.visits++;
+      for (const [player, score] of scores) {
+        n.totals[player] = (n.totals[player] || 0) + score;
+      }
+      n = n.parent;
+    }
+    count++;
+  }
+
+  /** @type {Object<string, MctsOptionStats>} */
+  const stats = {};
+  for (const child of root.children) {
+    stats[/** @type {string} */ (child.option)] = {
+      visits: child.visits,
+      value: child.value(root.player),
+    };
+  }
+
+  /** @type {string[]} */
+  const principalVariation = [];
+  let pv = mostVisitedChild(root);
+  while (pv) {
+    principalVariation.push(/** @type {string} */ (pv.option));
+    pv = pv.chance ? null : mostVisitedChild(pv);
+  }
+
+  return {
+    player: root.player,
+    seed: rng.seed,
+    iterations: count,
+    options: stats,
+    bestOption: principalVariation.length > 0 ? principalVariation[0] : null,
+    principalVariation,
+  };
+}
@@ -64,7 +64,7 @@ export class GetPlayerCount {
     context.log(`> ${input}`);
     context.log(`Great. ${count} players configured.`);
     context.log("----------------");
-    context.log("Player 1, enter a number (0-9):");
+    context.log("Player 1, enter a number (1-11):");
 
     return new PlayerTurn();
   }
@@ -108,7 +108,7 @@ export class PlayerTurn {
       const nextPlayer = currentPlayer + 1;
       context.setActivePlayer(nextPlayer);
 
-      context.log(`Player ${nextPlayer}, enter a number (0-9):`);
+      context.log(`Player ${nextPlayer}, enter a number (1-11):`);
       return new PlayerTurn();
     } else {
       // Last player done. Transition to End Game logic.
@@ -152,4 +152,15 @@ export class EndGame {
 
     return null; // End of game
   }
-}
\ No newline at end of file
+}
+
+/** @type {import('./registry.js').GameInfo} */
+export const GAME_INFO = {
+  id: 'modulo',
+  title: 'Modulo Sum',
+  description: 'Every player adds a number to a shared sum. The sum modulo the number of players picks the winner.',
+  minPlayers: 1,
+  maxPlayers: 9,
+  createStartState: () => new StartState(),
+  setupMoves: (players) => [String(players)],
+};
@@ -0,0 +1,151 @@
+//@ts-check
+
+import { OptionInput } from './option-input.js';
+
+/** @typedef {import('./game-server.js').ClientMessage} ClientMessage */
+/** @typedef {import('./game-server.js').ServerMessage} ServerMessage */
+/** @typedef {import('./game-server.js').RoomState} RoomState */
+/** @typedef {import('./renderer.js').Renderer} Renderer */
+/** @typedef {import('./websocket.js').MessageSocket} MessageSocket */
+
+/**
+ * A seat at a GameServer room: shows the room's log on a renderer and sends
+ * the options picked with the keyboard or by clicking.  Works with a browser
+ * WebSocket and with connectWebSocket from websocket.js.
+ */
+export class NetSession {
+  /**
+   * @param {MessageSocket} socket An open connection to the server.
+   * @param {Renderer} renderer
+   */
+  constructor(socket, renderer) {
+    this.socket = socket;
+    this.renderer = renderer;
+    this.input = new OptionInput();
+    /** The room as last reported by the server; null until joined. */
+    /** @type {RoomState|null} */
+    this.state = null;
+    /** The last error or notice from the server, until the next move. */
+    /** @type {string|null} */
+    this.message = null;
+    this.closed = false;
+    /** Called after every message from the server and when the connection closes. */
+    /** @type {((message: ServerMessage|null) => void)|null} */
+    this.onChange = null;
+
+    socket.onmessage = (event) => this.#receive(JSON.parse(String(event.data)));
+    socket.onclose = () => {
+      this.closed = true;
+      this.#updateInputDisplay();
+      if (this.onChange) this.onChange(null);
+    };
+  }
+
+  /**
+   * Enters a room, creating it if needed.
+   * @param {string} room
+   * @param {string} [game] Needed to create the room.
+   * @param {number} [seed]
+   */
+  join(room, game, seed) {
+    this.#send({ type: 'join', room, game, seed });
+  }
+
+  /**
+   * @param {number} player
+   */
+  claim(player) {
+    this.#send({ type: 'claim', player });
+  }
+
+  /** Gives up the seat, to watch as a spectator. */
+  release() {
+    this.#send({ type: 'release' });
+  }
+
+  /**
+   * @param {string} option
+   */
+  move(option) {
+    this.#send({ type: 'move', option });
+  }
+
+  /** Asks the other players to take back the last move. */
+  requestUndo() {
+    this.#send({ type: 'undo' });
+  }
+
+  /**
+   * @param {boolean} accept
+   */
+  answerUndo(accept) {
+    this.#send({ type: 'undoAnswer', accept });
+  }
+
+  close() {
+    this.socket.close();
+  }
+
+  /** True if the player to move sits here. */
+  get myTurn() {
+    const state = this.state;
+    return !!state && !this.closed && !state.finished && state.you !== null && state.you === state.activePlayer;
+  }
+
+  /**
+   * Handles a key pressed while this session has the keyboard.
+   * @param {string} key A KeyboardEvent key.
+   * @returns {boolean} Whether the key was used.
+   */
+  handleKeydown(key) {
+    if (!this.myTurn) return false;
+    const { handled, commit } = this.input.handleKey(key, this.#options());
+    if (commit !== null) this.move(commit);
+    this.#updateInputDisplay();
+    return handled;
+  }
+
+  /**
+   * @param {ClientMessage} message
+   */
+  #send(message) {
+    if (!this.closed) this.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * @param {ServerMessage} message
+   */
+  #receive(message) {
+    if (message.type === 'transcript') {
+      this.renderer.clear();
+      for (const output of message.lines) this.renderer.print(output);
+    } else if (message.type === 'log') {
+      for (const output of message.lines) this.renderer.print(output);
+    } else if (message.type === 'state') {
+      const { type, ...state } = message;
+      const moved = !this.state || this.state.moves.length !== state.moves.length;
+      this.state = state;
+      if (moved) {
+        this.input.reset();
+        this.message = null;
+      }
+    } else {
+      this.message = message.message;
+    }
+    this.#updateInputDisplay();
+    if (this.onChange) this.onChange(message);
+  }
+
+  /** @returns {string[]} */
+  #options() {
+    return this.myTurn && this.state ? this.state.options : [];
+  }
+
+  #updateInputDisplay() {
+    this.renderer.setInput(this.myTurn ? `> ${this.input.buffer}_` : '');
+    if (this.renderer.setOptions) {
+      this.renderer.setOptions(this.input.matches(this.#options()), this.input.buffer,
+        (option) => this.move(option));
+    }
+  }
+}
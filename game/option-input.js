@@ -0,0 +1,128 @@
+//@ts-check
+
+/**
+ * What a key did to the input.
+ * @typedef {Object} KeyResult
+ * @property {boolean} handled False if the key means nothing here, e.g.
+ *     Backspace with nothing typed, so the caller may use it otherwise.
+ * @property {string|null} commit The option the player picked, if any.
+ */
+
+/**
+ * Keyboard entry of one option out of a list.
+ *
+ * Typing narrows the options down by prefix, and an option is picked as soon
+ * as it is the only one left.  Options that are a prefix of others (such as
+ * '1' next to '10' and '11') are picked by typing them in full and pressing
+ * Enter.  Tab completes the longest common prefix of the matches and, once
+ * there is nothing left to complete, cycles through them; Up and Down cycle
+ * through them directly.
+ */
+export class OptionInput {
+  constructor() {
+    /** Text typed or completed so far. */
+    this.buffer = '';
+    /** The prefix being cycled through with Tab or the arrows, or null. */
+    /** @type {string|null} */
+    this.cycleBase = null;
+  }
+
+  reset() {
+    this.buffer = '';
+    this.cycleBase = null;
+  }
+
+  /**
+   * The options that fit what has been typed.  While cycling, these are all
+   * the options being cycled through, not just the one in the buffer.
+   * @param {string[]} options
+   * @returns {string[]}
+   */
+  matches(options) {
+    const prefix = this.cycleBase ?? this.buffer;
+    return options.filter(opt => opt.startsWith(prefix));
+  }
+
+  /**
+   * @param {string} key A KeyboardEvent key.
+   * @param {string[]} options The legal options.
+   * @returns {KeyResult}
+   */
+  handleKey(key, options) {
+    if (key === 'Enter') {
+      return { handled: true, commit: options.includes(this.buffer) ? this.#take() : null };
+    }
+    if (key === 'Tab') {
+      this.#complete(options);
+      return { handled: true, commit: null };
+    }
+    if (key === 'ArrowDown' || key === 'ArrowUp') {
+      this.#cycle(options, key === 'ArrowDown' ? 1 : -1);
+      return { handled: true, commit: null };
+    }
+    if (key === 'Backspace') {
+      if (this.buffer.length === 0) return { handled: false, commit: null };
+      this.buffer = this.buffer.slice(0, -1);
+      this.cycleBase = null;
+      return { handled: true, commit: null };
+    }
+    if (key.length !== 1) return { handled: false, commit: null };
+
+    const nextInput = this.buffer + key;
+    const matches = options.filter(opt => opt.startsWith(nextInput));
+    if (matches.length === 1) {
+      this.buffer = matches[0];
+      return { handled: true, commit: this.#take() };
+    }
+    if (matches.length > 1) {
+      this.buffer = nextInput;
+      this.cycleBase = null;
+    }
+    return { handled: true, commit: null };
+  }
+
+  /**
+   * Empties the input and returns what it held.
+   * @returns {string}
+   */
+  #take() {
+    const option = this.buffer;
+    this.reset();
+    return option;
+  }
+
+  /**
+   * @param {string[]} options
+   */
+  #complete(options) {
+    if (this.cycleBase === null) {
+      const matches = this.matches(options);
+      if (matches.length === 0) return;
+      let common = matches[0];
+      for (const opt of matches) {
+        while (!opt.startsWith(common)) common = common.slice(0, -1);
+      }
+      if (common.length > this.buffer.length) {
+        this.buffer = common;
+        return;
+      }
+    }
+    this.#cycle(options, 1);
+  }
+
+  /**
+   * Replaces the buffer with the next (+1) or previous (-1) matching option.
+   * @param {string[]} options
+   * @param {number} delta
+   */
+  #cycle(options, delta) {
+    const matches = this.matches(options);
+    if (matches.length === 0) return;
+    this.cycleBase = this.cycleBase ?? this.buffer;
+    const idx = matches.indexOf(this.buffer);
+    const next = idx === -1
+      ? (delta > 0 ? 0 : matches.length - 1)
+      : (idx + delta + matches.length) % matches.length;
+    this.buffer = matches[next];
+  }
+}
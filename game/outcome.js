@@ -0,0 +1,148 @@
+//@ts-check
+
+/**
+ * How a finished game ended.  Every game is worth one point, split among the
+ * winners (or among all players for a draw) unless the game sets its own
+ * payoffs with `context.setScores`.
+ * @typedef {Object} Outcome
+ * @property {number[]} winners Players who won (several for a shared win).
+ *     Empty for a draw.
+ * @property {boolean} draw True if nobody won.
+ * @property {number[][]} ranking Players grouped by finishing place, best
+ *     first.  Players in the same group tied.
+ * @property {Object<string, number>} scores Payoff per player.  Players not
+ *     listed scored 0.
+ */
+
+/**
+ * Statistics over many finished games.
+ * @typedef {Object} SimulationStats
+ * @property {number|null} seed Seed the games were played with, if known.
+ * @property {number} games Number of games played.
+ * @property {number} draws Games that ended in a draw.
+ * @property {number} unfinished Games that ended without an outcome.
+ * @property {number} evaluated Games cut off early and scored by an
+ *     evaluator's estimate.  They count towards the scores, not the wins.
+ * @property {Object<string, number>} wins Games won per player, shared wins included.
+ * @property {Object<string, number>} totalScores Sum of payoffs per player.
+ * @property {Object<string, number>} expectedScores Mean payoff per player.
+ */
+
+/**
+ * @param {number} player
+ * @returns {Outcome}
+ */
+export function winOutcome(player) {
+  return sharedWinOutcome([player]);
+}
+
+/**
+ * @param {number[]} players Players sharing the win; they split the point.
+ * @returns {Outcome}
+ */
+export function sharedWinOutcome(players) {
+  /** @type {Object<string, number>} */
+  const scores = {};
+  players.forEach(p => { scores[p] = 1 / players.length; });
+  return { winners: [...players], draw: false, ranking: [[...players]], scores };
+}
+
+/**
+ * @param {number[]} players Everybody in the game; they split the point.
+ * @returns {Outcome}
+ */
+export function drawOutcome(players) {
+  /** @type {Object<string, number>} */
+  const scores = {};
+  players.forEach(p => { scores[p] = 1 / players.length; });
+  return { winners: [], draw: true, ranking: [[...players]], scores };
+}
+
+/**
+ * @param {number[][]} ranking Players grouped by finishing place, best first.
+ *     The first group shares the win; if everybody is in it the game is a draw.
+ * @returns {Outcome}
+ */
+export function rankingOutcome(ranking) {
+  const first = ranking.length > 0 ? ranking[0] : [];
+  const outcome = ranking.length === 1 && first.length > 1 ? drawOutcome(first) : sharedWinOutcome(first);
+  outcome.ranking = ranking.map(group => [...group]);
+  return outcome;
+}
+
+/**
+ * @param {number|null} [seed]
+ * @returns {SimulationStats}
+ */
+export function createStats(seed = null) {
+  return { seed, games: 0, draws: 0, unfinished: 0, evaluated: 0, wins: {}, totalScores: {}, expectedScores: {} };
+}
+
+/**
+ * Records one finished game.
+ * @param {SimulationStats} stats
+ * @param {Outcome|null} outcome
+ */
+export function addOutcome(stats, outcome) {
+  stats.games++;
+  if (!outcome) {
+    stats.unfinished++;
+  } else {
+    if (outcome.draw) stats.draws++;
+    for (const w of outcome.winners) {
+      stats.wins[w] = (stats.wins[w] || 0) + 1;
+    }
+    for (const [player, score] of Object.entries(outcome.scores)) {
+      stats.totalScores[player] = (stats.totalScores[player] || 0) + score;
+    }
+  }
+  updateExpectedScores(stats);
+}
+
+/**
+ * Records one game cut off early, by the evaluator's payoff per player.
+ * @param {SimulationStats} stats
+ * @param {Object<string, number>} scores
+ */
+export function addEstimate(stats, scores) {
+  stats.games++;
+  stats.evaluated++;
+  for (const [player, score] of Object.entries(scores)) {
+    stats.totalScores[player] = (stats.totalScores[player] || 0) + score;
+  }
+  updateExpectedScores(stats);
+}
+
+/**
+ * Sums several result sets, in order, into a new one.
+ * @param {SimulationStats[]} list
+ * @param {number|null} [seed] Seed to report for the merged run.
+ * @returns {SimulationStats}
+ */
+export function mergeStats(list, seed = null) {
+  const merged = createStats(seed);
+  for (const stats of list) {
+    merged.games += stats.games;
+    merged.draws += stats.draws;
+    merged.unfinished += stats.unfinished;
+    merged.evaluated += stats.evaluated;
+    for (const [player, count] of Object.entries(stats.wins)) {
+      merged.wins[player] = (merged.wins[player] || 0) + count;
+    }
+    for (const [player, score] of Object.entries(stats.totalScores)) {
+      merged.totalScores[player] = (merged.totalScores[player] || 0) + score;
+    }
+  }
+  updateExpectedScores(merged);
+  return merged;
+}
+
+/**
+ * @param {SimulationStats} stats
+ */
+function updateExpectedScores(stats) {
+  stats.expectedScores = {};
+  for (const [player, total] of Object.entries(stats.totalScores)) {
+    stats.expectedScores[player] = total / stats.games;
+  }
+}
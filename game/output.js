@@ -0,0 +1,133 @@
+//@ts-check
+
+/**
+ * Structured output for `context.log`.  A game logs either a plain string or
+ * one of the blocks below; renderers display blocks as they see fit, and
+ * toText() turns any of them into ASCII for text renderers.  Blocks are plain
+ * objects, so they can be stored and sent around like strings.
+ */
+
+/**
+ * A piece of text with optional styling.
+ * @typedef {Object} Span
+ * @property {string} text
+ * @property {number} [player] Shows the text in this player's color.
+ * @property {string} [color] A CSS color; overrides the player's color.
+ * @property {boolean} [bold]
+ * @property {string} [option] Makes the text clickable: clicking plays this
+ *     option, if it is legal when clicked.
+ */
+
+/** @typedef {string|Span} Inline */
+
+/**
+ * @typedef {{type: 'line', parts: Inline[]}
+ *   | {type: 'heading', text: string, level: number}
+ *   | {type: 'grid', rows: Inline[][]}
+ *   | {type: 'table', header: Inline[]|null, rows: Inline[][]}} Block
+ */
+
+/** @typedef {string|Block} Output */
+
+/**
+ * @param {string} text
+ * @param {Omit<Span, 'text'>} [style]
+ * @returns {Span}
+ */
+export function span(text, style = {}) {
+  return { ...style, text };
+}
+
+/**
+ * A line made of several spans, e.g. `line(span('X', { player: 1 }), ' to move')`.
+ * @param {...Inline} parts
+ * @returns {Block}
+ */
+export function line(...parts) {
+  return { type: 'line', parts };
+}
+
+/**
+ * @param {string} text
+ * @param {number} [level] 1 for a title, 2 and up for smaller headings.
+ * @returns {Block}
+ */
+export function heading(text, level = 1) {
+  return { type: 'heading', text, level };
+}
+
+/**
+ * A board: rows of cells, shown as a grid.  Give cells an `option` to make
+ * them clickable.
+ * @param {Inline[][]} rows
+ * @returns {Block}
+ */
+export function grid(rows) {
+  return { type: 'grid', rows };
+}
+
+/**
+ * @param {Inline[][]} rows
+ * @param {{header?: Inline[]}} [options]
+ * @returns {Block}
+ */
+export function table(rows, options = {}) {
+  return { type: 'table', header: options.header || null, rows };
+}
+
+/**
+ * @param {Inline} inline
+ * @returns {string}
+ */
+export function inlineText(inline) {
+  return typeof inline === 'string' ? inline : inline.text;
+}
+
+/**
+ * @param {Inline[][]} rows
+ * @returns {number[]} The width of each column.
+ */
+function columnWidths(rows) {
+  /** @type {number[]} */
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, inlineText(cell).length); });
+  }
+  return widths;
+}
+
+/**
+ * Lays out rows of cells in columns.
+ * @param {Inline[][]} rows
+ * @param {number[]} widths
+ * @param {string} separator Put between columns.
+ * @returns {string[]} One string per row.
+ */
+function layOut(rows, widths, separator) {
+  return rows.map(row => row.map((cell, i) => inlineText(cell).padEnd(widths[i])).join(separator).trimEnd());
+}
+
+/**
+ * Renders output as plain text, for terminals and transcripts.  Grids and
+ * tables take several lines, joined with '\n'.
+ * @param {Output} output
+ * @returns {string}
+ */
+export function toText(output) {
+  if (typeof output === 'string') return output;
+  switch (output.type) {
+    case 'line':
+      return output.parts.map(inlineText).join('');
+    case 'heading':
+      return `${output.text}\n${(output.level === 1 ? '=' : '-').repeat(output.text.length)}`;
+    case 'grid':
+      return layOut(output.rows, columnWidths(output.rows), ' ').join('\n');
+    case 'table': {
+      const rows = output.header ? [output.header, ...output.rows] : output.rows;
+      const widths = columnWidths(rows);
+      const lines = layOut(rows, widths, '  ');
+      if (output.header) lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+      return lines.join('\n');
+    }
+  }
+}
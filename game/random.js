@@ -0,0 +1,75 @@
+//@ts-check
+
+/**
+ * Returns a fresh 32-bit seed from Math.random, for runs the caller did not
+ * seed.  Record it to replay the run.
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derives an independent seed for the `index`-th part of a seeded run, e.g. one
+ * batch of a simulation split across workers.
+ * @param {number} seed
+ * @param {number} index
+ * @returns {number}
+ */
+export function deriveSeed(seed, index) {
+  const rng = new Random((seed ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0);
+  return Math.floor(rng.random() * 4294967296);
+}
+
+/**
+ * Small seedable PRNG (mulberry32).  The whole generator state is one 32-bit
+ * integer, so the engine can store it on every history node and restore it on
+ * undo.
+ */
+export class Random {
+  /**
+   * @param {number} [seed] Defaults to a random seed.
+   */
+  constructor(seed = randomSeed()) {
+    /** The seed this generator started from. */
+    this.seed = seed >>> 0;
+    /** Current generator state. */
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns a float in [0, 1), like Math.random.
+   * @returns {number}
+   */
+  random() {
+    let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns an integer between `min` and `max`, both inclusive.
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  randInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Returns a shuffled copy of `items`.
+   * @template T
+   * @param {T[]} items
+   * @returns {T[]}
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
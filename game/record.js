@@ -0,0 +1,229 @@
+//@ts-check
+
+import { GameContext } from './engine.js';
+
+/** @typedef {import('./engine.js').Engine} Engine */
+/** @typedef {import('./engine.js').GameState} GameState */
+
+export const RECORD_FORMAT = 'game-eval-record';
+export const RECORD_VERSION = 1;
+
+/**
+ * A saved game: enough to replay it exactly through `Engine.transition`.
+ * @typedef {Object} GameRecord
+ * @property {string} format Always 'game-eval-record'.
+ * @property {number} version Format version, currently 1.
+ * @property {string} game Id of the game the moves belong to, e.g. 'ttt'.
+ * @property {number} seed Seed passed to `initGame`.
+ * @property {string[]} moves Options chosen by players, oldest first.
+ *     Automatic transitions are not recorded.
+ * @property {Object<string, string>} metadata Free-form details such as the
+ *     date or a description of the position.
+ */
+
+/**
+ * Captures the game currently loaded in `engine`.
+ * @param {Engine} engine
+ * @param {string} game Id of the game being played.
+ * @param {Object<string, string>} [metadata] Defaults to the current date.
+ * @returns {GameRecord}
+ */
+export function createRecord(engine, game, metadata = { date: new Date().toISOString() }) {
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    game,
+    seed: engine.seed,
+    moves: engine.getMoveHistory(),
+    metadata: { ...metadata },
+  };
+}
+
+/**
+ * @param {GameRecord} record
+ * @returns {string}
+ */
+export function recordToJson(record) {
+  return JSON.stringify(record, null, 2);
+}
+
+/**
+ * Parses and validates a JSON record.
+ * @param {string} json
+ * @returns {GameRecord}
+ */
+export function recordFromJson(json) {
+  const data = JSON.parse(json);
+  if (!data || data.format !== RECORD_FORMAT) {
+    throw new Error('Not a game record');
+  }
+  if (data.version !== RECORD_VERSION) {
+    throw new Error(`Unsupported record version: ${data.version}`);
+  }
+  if (typeof data.game !== 'string' || !data.game) {
+    throw new Error('Record has no game id');
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) {
+    throw new Error('Record has no valid seed');
+  }
+  if (!Array.isArray(data.moves) || !data.moves.every((/** @type {any} */ m) => typeof m === 'string')) {
+    throw new Error('Record moves must be a list of strings');
+  }
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    game: data.game,
+    seed: data.seed,
+    moves: [...data.moves],
+    metadata: { ...(data.metadata || {}) },
+  };
+}
+
+/**
+ * Compact one-line notation: `<game>@<seed>:<move>,<move>,...`, with each move
+ * URI-encoded.  Metadata is not included.  Example: `ttt@42:5,1,9`.
+ * @param {GameRecord} record
+ * @returns {string}
+ */
+export function recordToNotation(record) {
+  return `${record.game}@${record.seed}:${record.moves.map(encodeURIComponent).join(',')}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {GameRecord}
+ */
+export function recordFromNotation(text) {
+  const match = /^([^@\s]+)@(\d+):(\S*)$/.exec(text.trim());
+  if (!match) {
+    throw new Error('Expected <game>@<seed>:<move>,<move>,...');
+  }
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    game: decodeURIComponent(match[1]),
+    seed: parseInt(match[2]),
+    moves: match[3] ? match[3].split(',').map(decodeURIComponent) : [],
+    metadata: {},
+  };
+}
+
+/**
+ * Accepts either the JSON format or the compact notation.
+ * @param {string} text
+ * @returns {GameRecord}
+ */
+export function parseRecord(text) {
+  return text.trim().startsWith('{') ? recordFromJson(text) : recordFromNotation(text);
+}
+
+/**
+ * Starts the record's game in `engine` and plays its moves through
+ * `transition`, so they can be undone and redone like moves just played.
+ * Rejects at the first move that is not an option, leaving the engine at the
+ * position before it.
+ * @param {Engine} engine
+ * @param {GameRecord} record
+ * @param {() => GameState} createStartState
+ * @returns {Promise<void>}
+ */
+export async function replayRecord(engine, record, createStartState) {
+  await engine.initGame(createStartState(), record.seed);
+  for (const [i, move] of record.moves.entries()) {
+    const options = engine.currentState && engine.stateHead
+      ? await engine.currentState.getOptions(new GameContext(engine.stateHead, () => { }))
+      : [];
+    if (!options.includes(move)) {
+      throw new Error(`Illegal move "${move}" at step ${i + 1}`);
+    }
+    await engine.transition(move);
+  }
+}
+
+/**
+ * Steps an engine through a record.  The position is read from the engine's
+ * move history each time, so a player may undo or make other moves in between;
+ * stepping forward is only possible while the history is still a prefix of the
+ * record.  The methods that move resolve once the engine has settled, so they
+ * also work for games with asynchronous states.
+ */
+export class RecordPlayer {
+  /**
+   * @param {Engine} engine
+   * @param {GameRecord} record
+   * @param {() => GameState} createStartState
+   */
+  constructor(engine, record, createStartState) {
+    this.engine = engine;
+    this.record = record;
+    this.createStartState = createStartState;
+  }
+
+  /**
+   * Restarts the game with the record's seed, at move 0.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await this.engine.initGame(this.createStartState(), this.record.seed);
+  }
+
+  /**
+   * Number of moves played so far.
+   * @returns {number}
+   */
+  get position() {
+    return this.engine.getMoveHistory().length;
+  }
+
+  /**
+   * True while every move played so far matches the record.
+   * @returns {boolean}
+   */
+  isOnRecord() {
+    const history = this.engine.getMoveHistory();
+    return history.length <= this.record.moves.length &&
+      history.every((move, i) => move === this.record.moves[i]);
+  }
+
+  /**
+   * Plays the next move of the record.
+   * @returns {Promise<boolean>} false if there is no next move or the game has left the record.
+   */
+  async stepForward() {
+    const { engine } = this;
+    if (!this.isOnRecord() || this.position >= this.record.moves.length) return false;
+    if (!engine.currentState || !engine.stateHead) return false;
+
+    const move = this.record.moves[this.position];
+    const options = await engine.currentState.getOptions(new GameContext(engine.stateHead, () => { }, engine.random));
+    if (!options.includes(move)) {
+      throw new Error(`Illegal move "${move}" at step ${this.position + 1}`);
+    }
+    await engine.transition(move);
+    return true;
+  }
+
+  /**
+   * Undoes the last move.
+   * @returns {Promise<boolean>} false at the start of the game.
+   */
+  async stepBack() {
+    if (this.position === 0) return false;
+    await this.engine.recursiveUndo();
+    return true;
+  }
+
+  /**
+   * Jumps to the position after `count` moves of the record.
+   * @param {number} count
+   * @returns {Promise<void>}
+   */
+  async goTo(count) {
+    while (this.position > count || (this.position > 0 && !this.isOnRecord())) {
+      await this.stepBack();
+    }
+    while (this.position < count && await this.stepForward()) {
+      // Keep stepping.
+    }
+  }
+}
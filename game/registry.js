@@ -0,0 +1,67 @@
+//@ts-check
+
+import * as moduloGame from './modulo-game.js';
+import * as tttGame from './ttt-game.js';
+
+/** @typedef {import('./engine.js').GameState} GameState */
+
+/**
+ * Metadata every game module exports as `GAME_INFO`.
+ * @typedef {Object} GameInfo
+ * @property {string} id Short name used in `?game=` URLs and game records.
+ * @property {string} title
+ * @property {string} description One or two sentences for the start screen.
+ * @property {number} minPlayers
+ * @property {number} maxPlayers
+ * @property {() => GameState} createStartState
+ * @property {(players: number) => string[]} [setupMoves] The moves that set up
+ *     a game for `players` players, for games that ask for the player count.
+ *     Tools such as the command-line runner use it for `--players`.
+ */
+
+/**
+ * A registered game.  `module` is the URL simulation workers import the game
+ * from; the module must also export its `StartState`.
+ * @typedef {GameInfo & {module: string}} RegisteredGame
+ */
+
+/** @type {Map<string, RegisteredGame>} */
+const games = new Map();
+
+/**
+ * Adds a game to the registry.
+ * @param {GameInfo} info
+ * @param {string} module URL of the module exporting the game.
+ * @returns {RegisteredGame}
+ */
+export function registerGame(info, module) {
+  if (games.has(info.id)) {
+    throw new Error(`Game already registered: ${info.id}`);
+  }
+  if (info.minPlayers < 1 || info.maxPlayers < info.minPlayers) {
+    throw new Error(`Invalid player counts for ${info.id}`);
+  }
+  const game = { ...info, module };
+  games.set(info.id, game);
+  return game;
+}
+
+/**
+ * @param {string} id
+ * @returns {RegisteredGame|null}
+ */
+export function getGame(id) {
+  return games.get(id) || null;
+}
+
+/**
+ * All registered games, in registration order.
+ * @returns {RegisteredGame[]}
+ */
+export function listGames() {
+  return [...games.values()];
+}
+
+// Built-in games.  Workers load them by URL, so the paths must match the imports above.
+registerGame(moduloGame.GAME_INFO, new URL('./modulo-game.js', import.meta.url).href);
+registerGame(tttGame.GAME_INFO, new URL('./ttt-game.js', import.meta.url).href);
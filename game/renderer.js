@@ -0,0 +1,100 @@
+//@ts-check
+
+import { toText } from './output.js';
+
+/** @typedef {import('./output.js').Output} Output */
+
+/**
+ * Output target for the engine.  The engine never touches the DOM itself; it
+ * hands output to a renderer and keeps the returned handles on each StateNode
+ * so that undo can remove exactly the output of the undone nodes.
+ * @interface
+ * @typedef {Object} Renderer
+ * @property {() => void} clear Removes all output, including the input line.
+ * @property {(output: Output) => any} print Appends a line or block (see
+ *     output.js) and returns a handle to it.
+ * @property {(handle: any) => void} remove Removes output previously returned by `print`.
+ * @property {(text: string) => void} setInput Replaces the text of the input line.
+ * @property {(options: string[], selected: string, onChoose: (option: string) => void) => void} [setOptions]
+ *     Optional.  Shows the options the player can pick from, marking the one
+ *     equal to `selected`; `onChoose` picks one, e.g. when it or a clickable
+ *     cell is clicked.
+ */
+
+/**
+ * In-memory renderer for running games outside the browser (Node scripts,
+ * tests, batch jobs).  Output is kept in order and can be read back as text;
+ * blocks such as grids and tables are drawn in ASCII.
+ */
+/** @implements {Renderer} */
+export class TextRenderer {
+  /**
+   * @param {(text: string) => void} [onPrint] Called with the text of
+   *     everything printed, e.g. to echo the game to stdout.
+   */
+  constructor(onPrint) {
+    /** Printed output and its text, which may span several lines. */
+    /** @type {{text: string, output: Output}[]} */
+    this.lines = [];
+    /** @type {string} */
+    this.input = '';
+    /** Options on offer, as last passed to setOptions. */
+    /** @type {string[]} */
+    this.options = [];
+    /** @type {((option: string) => void)|null} */
+    this.onChoose = null;
+    this.onPrint = onPrint || null;
+  }
+
+  clear() {
+    this.lines = [];
+    this.input = '';
+    this.options = [];
+    this.onChoose = null;
+  }
+
+  /**
+   * @param {Output} output
+   * @returns {{text: string, output: Output}}
+   */
+  print(output) {
+    const line = { text: toText(output), output };
+    this.lines.push(line);
+    if (this.onPrint) this.onPrint(line.text);
+    return line;
+  }
+
+  /**
+   * @param {{text: string, output: Output}} handle
+   */
+  remove(handle) {
+    const idx = this.lines.indexOf(handle);
+    if (idx !== -1) this.lines.splice(idx, 1);
+  }
+
+  /**
+   * @param {string} text
+   */
+  setInput(text) {
+    this.input = text;
+  }
+
+  /**
+   * @param {string[]} options
+   * @param {string} selected
+   * @param {(option: string) => void} onChoose Call it to pick an option, as a
+   *     click would in the browser.
+   */
+  setOptions(options, selected, onChoose) {
+    this.options = [...options];
+    this.onChoose = onChoose;
+  }
+
+  /**
+   * Returns the current transcript, one line (or block of lines) per print.
+   * @returns {string}
+   */
+  getText() {
+    return this.lines.map(line => line.text).join('\n');
+  }
+}
@@ -0,0 +1,105 @@
+//@ts-check
+
+/** @typedef {import('./review.js').GameReview} GameReview */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const GRAPH_WIDTH = 600;
+const GRAPH_HEIGHT = 160;
+const GRAPH_PADDING = 10;
+
+/**
+ * Shows a review: a summary of the annotations per player, a graph of every
+ * player's expected score over the game and a table of the moves.
+ * @param {HTMLElement} container
+ * @param {GameReview} review
+ */
+export function renderReview(container, review) {
+  container.innerHTML = '';
+  if (review.moves.length === 0) {
+    container.textContent = 'No moves to review.';
+    return;
+  }
+
+  const players = [...new Set(review.moves.map(move => move.player))].sort((a, b) => a - b);
+  for (const player of players) {
+    const own = review.moves.filter(move => move.player === player);
+    const count = (/** @type {string} */ annotation) => own.filter(move => move.annotation === annotation).length;
+    const summary = document.createElement('div');
+    summary.className = `player-${player}`;
+    summary.textContent =
+      `Player ${player}: ${count('inaccuracy')} inaccuracies, ${count('blunder')} blunders in ${own.length} moves`;
+    container.appendChild(summary);
+  }
+
+  container.appendChild(renderGraph(review));
+
+  const table = document.createElement('table');
+  table.className = 'output-table review-table';
+  const header = table.createTHead().insertRow();
+  for (const title of ['#', 'Player', 'Played', 'Value', 'Best', 'Loss', 'Note']) {
+    const th = document.createElement('th');
+    th.textContent = title;
+    header.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const move of review.moves) {
+    const row = body.insertRow();
+    row.className = `annotation-${move.annotation}`;
+    const cells = [
+      String(move.index + 1),
+      String(move.player),
+      move.move,
+      move.value.toFixed(3),
+      `${move.bestOptions.join(', ')} (${move.bestValue.toFixed(3)})`,
+      move.loss.toFixed(3),
+      move.annotation === 'good' ? '' : move.annotation,
+    ];
+    cells.forEach(text => { row.insertCell().textContent = text; });
+  }
+  container.appendChild(table);
+}
+
+/**
+ * One line per player: expected score (0 at the bottom, 1 at the top) before
+ * the first move and after each move.
+ * @param {GameReview} review
+ * @returns {SVGSVGElement}
+ */
+function renderGraph(review) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'review-graph');
+  svg.setAttribute('viewBox', `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`);
+
+  const plotWidth = GRAPH_WIDTH - 2 * GRAPH_PADDING;
+  const plotHeight = GRAPH_HEIGHT - 2 * GRAPH_PADDING;
+  const x = (/** @type {number} */ i) => GRAPH_PADDING + (review.graph.length > 1 ? i * plotWidth / (review.graph.length - 1) : 0);
+  const y = (/** @type {number} */ score) => GRAPH_PADDING + (1 - score) * plotHeight;
+
+  const middle = document.createElementNS(SVG_NS, 'line');
+  middle.setAttribute('class', 'review-graph-axis');
+  middle.setAttribute('x1', String(GRAPH_PADDING));
+  middle.setAttribute('x2', String(GRAPH_WIDTH - GRAPH_PADDING));
+  middle.setAttribute('y1', String(y(0.5)));
+  middle.setAttribute('y2', String(y(0.5)));
+  svg.appendChild(middle);
+
+  const players = [...new Set(review.graph.flatMap(point => Object.keys(point)))].sort((a, b) => parseInt(a) - parseInt(b));
+  for (const player of players) {
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('class', `review-graph-line player-${player}`);
+    line.setAttribute('points', review.graph.map((point, i) => `${x(i)},${y(point[player] || 0)}`).join(' '));
+    svg.appendChild(line);
+  }
+
+  // Mark the blunders on the line of the player who made them.
+  review.moves.forEach((move, i) => {
+    if (move.annotation !== 'blunder') return;
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('class', `review-graph-blunder player-${move.player}`);
+    dot.setAttribute('cx', String(x(i + 1)));
+    dot.setAttribute('cy', String(y(move.value)));
+    dot.setAttribute('r', '4');
+    svg.appendChild(dot);
+  });
+  return svg;
+}
@@ -0,0 +1,175 @@
+//@ts-check
+
+import { runOptionMonteCarlo } from './engine.js';
+import { deriveSeed, randomSeed } from './random.js';
+import { solve } from './solver.js';
+
+/** @typedef {import('./engine.js').Position} Position */
+/** @typedef {import('./engine.js').StateNode} StateNode */
+
+/**
+ * @typedef {Object} ReviewOptions
+ * @property {'montecarlo'|'solver'} [evaluator] How positions are evaluated:
+ *     random games after each option (the default) or the exact solver.
+ * @property {number} [simulations] Random games per option (default 1000).
+ * @property {number} [maxNodes] Solver budget per position, as for solve().
+ * @property {number} [seed] Seed for the random games.  Each position gets a
+ *     seed derived from it, so a seeded review can be repeated.
+ * @property {number} [inaccuracy] Loss of expected score from which a move is
+ *     an inaccuracy (default 0.1).
+ * @property {number} [blunder] Loss of expected score from which a move is a
+ *     blunder (default 0.3).
+ * @property {AbortSignal} [signal] Aborting stops the review between
+ *     positions and rejects the promise with the signal's reason.
+ * @property {(progress: {done: number, total: number}) => void} [onProgress]
+ *     Called after each evaluated move.
+ */
+
+/**
+ * @typedef {'good'|'inaccuracy'|'blunder'} Annotation
+ */
+
+/**
+ * One move of the reviewed line.  Values are expected scores of the player
+ * who moved: 1 for a certain win, 0 for a certain loss.
+ * @typedef {Object} ReviewedMove
+ * @property {number} index Position of the move among the moves of the line,
+ *     as in `getMoveHistory()`.
+ * @property {number} player
+ * @property {string} move
+ * @property {number} value Value of the move played.
+ * @property {string[]} bestOptions The options with the highest value.
+ * @property {number} bestValue
+ * @property {number} loss `bestValue - value`.
+ * @property {Annotation} annotation
+ * @property {Object<string, number>} options Value of every option.
+ * @property {Object<string, number>} scores Expected score of every player
+ *     after the move, for the evaluation graph.
+ */
+
+/**
+ * @typedef {Object} GameReview
+ * @property {'montecarlo'|'solver'} evaluator
+ * @property {number} seed
+ * @property {ReviewedMove[]} moves The moves players chose, oldest first.
+ *     Moves made while no player was active are left out.
+ * @property {Object<string, number>[]} graph Expected score of every player
+ *     over the game: before the first move (under the best play found), then
+ *     after each reviewed move.
+ */
+
+const DEFAULT_SIMULATIONS = 1000;
+const DEFAULT_INACCURACY = 0.1;
+const DEFAULT_BLUNDER = 0.3;
+
+/**
+ * Evaluates every decision of the current line and compares each move played
+ * with the best option.  The line runs from the start of the game through
+ * `position` and on through the moves last undone from it, as redo would
+ * replay them, so stepping back through a finished game still reviews all of
+ * it.  Positions are evaluated one at a time with a pause in between, so a page
+ * stays usable; the analyses see hidden information, like the others.
+ * @param {Position} position Usually an Engine after the game or a loaded record.
+ * @param {ReviewOptions} [options]
+ * @returns {Promise<GameReview>}
+ */
+export async function reviewGame(position, options = {}) {
+  const {
+    evaluator = 'montecarlo',
+    simulations = DEFAULT_SIMULATIONS,
+    inaccuracy = DEFAULT_INACCURACY,
+    blunder = DEFAULT_BLUNDER,
+    signal,
+    onProgress,
+  } = options;
+  const seed = options.seed ?? randomSeed();
+
+  /** @type {StateNode[]} */
+  const line = [];
+  for (let n = position.stateHead; n; n = n.parent) line.push(n);
+  line.reverse();
+  for (let n = position.stateHead && position.stateHead.activeChild; n; n = n.activeChild) line.push(n);
+  const chosen = line.filter(node => node.chosen && node.input !== null);
+  const decisions = chosen.filter(node => node.parent && node.parent.activePlayer !== -1);
+
+  /** @type {ReviewedMove[]} */
+  const moves = [];
+  /** @type {Object<string, number>[]} */
+  const graph = [];
+  for (const node of decisions) {
+    if (signal && signal.aborted) throw signal.reason;
+    const parent = /** @type {StateNode} */ (node.parent);
+    const before = { currentState: node.handler, stateHead: parent };
+    const scores = evaluator === 'solver'
+      ? solverScores(before, options.maxNodes)
+      : monteCarloScores(before, simulations, deriveSeed(seed, moves.length));
+
+    const player = parent.activePlayer;
+    const move = /** @type {string} */ (node.input);
+    /** @type {Object<string, number>} */
+    const values = {};
+    for (const [option, optionScores] of Object.entries(scores)) {
+      values[option] = optionScores[player] || 0;
+    }
+    const bestValue = Math.max(...Object.values(values));
+    const bestOptions = Object.keys(values).filter(option => values[option] >= bestValue - 1e-9);
+    const value = values[move] ?? 0;
+    const loss = Math.max(0, bestValue - value);
+
+    if (graph.length === 0) graph.push({ ...scores[bestOptions[0]] });
+    graph.push({ ...(scores[move] || {}) });
+    moves.push({
+      index: chosen.indexOf(node),
+      player,
+      move,
+      value,
+      bestOptions,
+      bestValue,
+      loss,
+      annotation: loss >= blunder ? 'blunder' : loss >= inaccuracy ? 'inaccuracy' : 'good',
+      options: values,
+      scores: { ...(scores[move] || {}) },
+    });
+
+    if (onProgress) onProgress({ done: moves.length, total: decisions.length });
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  if (signal && signal.aborted) throw signal.reason;
+
+  return { evaluator, seed, moves, graph };
+}
+
+/**
+ * @param {Position} position
+ * @param {number} simulations
+ * @param {number} seed
+ * @returns {Object<string, Object<string, number>>} Expected scores per option.
+ */
+function monteCarloScores(position, simulations, seed) {
+  const results = runOptionMonteCarlo(position, simulations, { seed }) || {};
+  /** @type {Object<string, Object<string, number>>} */
+  const scores = {};
+  for (const [option, stats] of Object.entries(results)) {
+    scores[option] = stats.expectedScores;
+  }
+  return scores;
+}
+
+/**
+ * @param {Position} position
+ * @param {number|undefined} maxNodes
+ * @returns {Object<string, Object<string, number>>} Exact scores per option.
+ */
+function solverScores(position, maxNodes) {
+  // Alpha-beta only reports the mover's score; max^n reports everybody's.
+  const result = solve(position, { maxNodes, algorithm: 'maxn' });
+  if (!result || !result.solved) {
+    throw new Error(result && result.reason ? result.reason : 'Could not solve the position');
+  }
+  /** @type {Object<string, Object<string, number>>} */
+  const scores = {};
+  for (const [option, value] of Object.entries(result.options)) {
+    scores[option] = value.scores;
+  }
+  return scores;
+}
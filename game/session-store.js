@@ -0,0 +1,69 @@
+//@ts-check
+
+// Keeps the game in progress across page reloads: the engine's game is saved
+// as a record whenever it changes, and replayRecord plays it back on load.
+
+import { createRecord, recordFromJson, recordToJson } from './record.js';
+
+/** @typedef {import('./engine.js').Engine} Engine */
+/** @typedef {import('./record.js').GameRecord} GameRecord */
+
+/**
+ * The part of the Web Storage API used here; `localStorage` qualifies.
+ * @typedef {Object} KeyValueStorage
+ * @property {(key: string) => string|null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ */
+
+export const SESSION_KEY = 'game-eval-session';
+
+/**
+ * Saves the game in `engine` to `storage` after every new game, move and
+ * undo.  Changes made in the same task are saved once.  Storage errors, such
+ * as a full quota, are logged and do not reach the engine.
+ * @param {Engine} engine
+ * @param {() => string|null} getGameId The id of the game being played, or
+ *     null to save nothing.
+ * @param {KeyValueStorage} storage
+ * @param {string} [key]
+ * @returns {() => void} Stops saving.
+ */
+export function autoSave(engine, getGameId, storage, key = SESSION_KEY) {
+  let queued = false;
+  const save = () => {
+    if (queued) return;
+    queued = true;
+    queueMicrotask(() => {
+      queued = false;
+      const game = getGameId();
+      if (!game || !engine.stateHead) return;
+      try {
+        storage.setItem(key, recordToJson(createRecord(engine, game)));
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  };
+  const unsubscribers = [
+    engine.subscribe('newGame', save),
+    engine.subscribe('transition', save),
+    engine.subscribe('undo', save),
+  ];
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * The game last saved by autoSave, or null if there is none or it cannot be
+ * read.
+ * @param {KeyValueStorage} storage
+ * @param {string} [key]
+ * @returns {GameRecord|null}
+ */
+export function loadSession(storage, key = SESSION_KEY) {
+  try {
+    const json = storage.getItem(key);
+    return json ? recordFromJson(json) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,284 @@
+//@ts-check
+
+import { mergeStats } from './outcome.js';
+import { deriveSeed, randomSeed } from './random.js';
+
+/** @typedef {import('./engine.js').Engine} Engine */
+/** @typedef {import('./mcts.js').MctsOptions} MctsOptions */
+/** @typedef {import('./mcts.js').MctsResult} MctsResult */
+/** @typedef {import('./outcome.js').SimulationStats} SimulationStats */
+/** @typedef {import('./solver.js').SolverOptions} SolverOptions */
+/** @typedef {import('./solver.js').SolverResult} SolverResult */
+
+/**
+ * One unit of work for a worker.
+ * @typedef {{kind: 'winner', simulations: number, seed: number, rollout: RolloutOverrides}
+ *   | {kind: 'mcts', mcts: MctsOptions}
+ *   | {kind: 'solve', solver: SolverOptions}} SimulationJob
+ */
+
+/**
+ * @template T
+ * @typedef {Object} SimulationProgress
+ * @property {number} done Simulations (or MCTS iterations) finished so far.
+ * @property {number} total Simulations (or MCTS iterations) requested.
+ * @property {T} results The merged results of the finished jobs.
+ */
+
+/**
+ * @template T
+ * @typedef {Object} PoolOptions
+ * @property {string} gameModule URL of the game module.  It must export a
+ *     `StartState` class; each worker imports it and replays the move history.
+ * @property {number} [workers] Number of workers.  Defaults to the number of
+ *     cores, at most 8.
+ * @property {number} [batchSize] Simulations per job (default 100).  Smaller
+ *     batches report progress more often.
+ * @property {number} [seed] Seed for the run.  Each job gets a seed derived
+ *     from it, so a seeded run gives the same totals for any worker count
+ *     (except MCTS, which splits its work by worker).
+ * @property {AbortSignal} [signal] Aborting terminates the workers and rejects
+ *     the promise with the signal's reason.
+ * @property {(progress: SimulationProgress<T>) => void} [onProgress] Called
+ *     with the merged results each time a job finishes.
+ */
+
+/**
+ * The per-call rollout overrides of runMonteCarlo that can be sent to a
+ * worker.  Functions cannot, so the async API only takes null to switch a
+ * game's own hook off.
+ * @typedef {Object} RolloutOverrides
+ * @property {null} [rolloutPolicy] null picks uniformly at random.
+ * @property {null} [evaluate] null plays every game to its end.
+ * @property {number} [maxDepth] As for runMonteCarlo.
+ */
+
+/**
+ * Splits `total` into chunks of at most `size`.
+ * @param {number} total
+ * @param {number} size
+ * @returns {number[]}
+ */
+function chunk(total, size) {
+  const chunks = [];
+  for (let left = total; left > 0; left -= size) {
+    chunks.push(Math.min(size, left));
+  }
+  return chunks;
+}
+
+/**
+ * @param {number|undefined} requested
+ * @returns {number}
+ */
+function defaultWorkerCount(requested) {
+  if (requested) return requested;
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+  return Math.min(cores || 4, 8);
+}
+
+/**
+ * Runs `jobs` on a pool of workers.  Results are kept by job index and merged
+ * in job order, so the outcome does not depend on which worker finishes first.
+ *
+ * @template T
+ * @param {Engine} engine
+ * @param {SimulationJob[]} jobs
+ * @param {number[]} sizes Work units per job, for progress reporting.
+ * @param {(results: any[]) => T} merge Merges the results of finished jobs.
+ * @param {PoolOptions<T>} options
+ * @returns {Promise<T>}
+ */
+function runJobs(engine, jobs, sizes, merge, options) {
+  const { gameModule, signal, onProgress } = options;
+  const moves = engine.getMoveHistory();
+  const gameSeed = engine.seed;
+  const total = sizes.reduce((a, b) => a + b, 0);
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    /** @type {any[]} */
+    const results = [];
+    /** @type {Worker[]} */
+    const workers = [];
+    let nextJob = 0;
+    let finished = 0;
+    let done = 0;
+
+    const stop = () => {
+      workers.forEach(w => w.terminate());
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      stop();
+      reject(signal ? signal.reason : undefined);
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    /**
+     * @param {Worker} worker
+     */
+    const dispatch = (worker) => {
+      if (nextJob >= jobs.length) return;
+      const index = nextJob++;
+      worker.onmessage = (e) => {
+        if (e.data.error) {
+          stop();
+          reject(new Error(e.data.error));
+          return;
+        }
+        results[index] = e.data.result;
+        finished++;
+        done += sizes[index];
+        if (finished === jobs.length) {
+          stop();
+          resolve(merge(results));
+          return;
+        }
+        if (onProgress) onProgress({ done, total, results: merge(results) });
+        dispatch(worker);
+      };
+      worker.postMessage({ gameModule, gameSeed, moves, job: jobs[index] });
+    };
+
+    if (jobs.length === 0) {
+      stop();
+      resolve(merge(results));
+      return;
+    }
+
+    const count = Math.min(defaultWorkerCount(options.workers), jobs.length);
+    for (let i = 0; i < count; i++) {
+      const worker = new Worker(new URL('./sim-worker.js', import.meta.url), { type: 'module' });
+      worker.onerror = (e) => {
+        stop();
+        reject(new Error(e.message));
+      };
+      workers.push(worker);
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Asynchronous, multi-worker version of runMonteCarlo.  Rejects if given a
+ * `rolloutPolicy` or `evaluate` function, which cannot reach the workers.
+ * @param {Engine} engine
+ * @param {number} simulations
+ * @param {PoolOptions<SimulationStats> & RolloutOverrides} options
+ * @returns {Promise<SimulationStats|null>} null if the game is over.
+ */
+export async function runMonteCarloAsync(engine, simulations, options) {
+  const { rolloutPolicy, evaluate, maxDepth } = options;
+  if (typeof rolloutPolicy === 'function' || typeof evaluate === 'function') {
+    throw new Error('runMonteCarloAsync cannot send a rolloutPolicy or evaluate function to its workers; use runMonteCarlo, or give the game states the hook');
+  }
+  if (!engine.currentState || !engine.stateHead) return null;
+
+  const seed = options.seed ?? randomSeed();
+  const sizes = chunk(simulations, options.batchSize || 100);
+  const rollout = { rolloutPolicy, evaluate, maxDepth };
+  /** @type {SimulationJob[]} */
+  const jobs = sizes.map((n, i) => ({ kind: 'winner', simulations: n, seed: deriveSeed(seed, i), rollout }));
+
+  return runJobs(engine, jobs, sizes, (results) => mergeStats(results.filter(r => r), seed), options);
+}
+
+/**
+ * Root-parallel version of runMcts: every worker searches its own tree from
+ * the current position with an equal share of the iterations (or the full
+ * time limit), and the root statistics are summed.
+ * @param {Engine} engine
+ * @param {MctsOptions} mctsOptions
+ * @param {PoolOptions<MctsResult|null>} options
+ * @returns {Promise<MctsResult|null>} null if the game is over or no player is active.
+ */
+export async function runMctsAsync(engine, mctsOptions, options) {
+  if (!engine.currentState || !engine.stateHead) return null;
+  if (engine.stateHead.activePlayer === -1) return null;
+
+  const workers = defaultWorkerCount(options.workers);
+  const timeLimitMs = mctsOptions.timeLimitMs || 0;
+  const iterations = mctsOptions.iterations || (timeLimitMs > 0 ? Infinity : 1000);
+  const seed = mctsOptions.seed ?? options.seed ?? randomSeed();
+  /** @type {SimulationJob[]} */
+  const jobs = [];
+  const sizes = [];
+  if (iterations === Infinity) {
+    for (let i = 0; i < workers; i++) {
+      jobs.push({ kind: 'mcts', mcts: { ...mctsOptions, seed: deriveSeed(seed, i) } });
+      sizes.push(1);
+    }
+  } else {
+    for (const n of chunk(iterations, Math.ceil(iterations / workers))) {
+      jobs.push({ kind: 'mcts', mcts: { ...mctsOptions, iterations: n, seed: deriveSeed(seed, jobs.length) } });
+      sizes.push(n);
+    }
+  }
+
+  return runJobs(engine, jobs, sizes, (results) => mergeMcts(results, seed), { ...options, workers });
+}
+
+/**
+ * Runs the solver in a single worker, so the page stays responsive and the
+ * search can be cancelled through `options.signal`.
+ * @param {Engine} engine
+ * @param {SolverOptions} solverOptions
+ * @param {PoolOptions<SolverResult|null>} options
+ * @returns {Promise<SolverResult|null>} null if the game is over.
+ */
+export async function solveAsync(engine, solverOptions, options) {
+  if (!engine.currentState || !engine.stateHead) return null;
+  /** @type {SimulationJob[]} */
+  const jobs = [{ kind: 'solve', solver: solverOptions }];
+  return runJobs(engine, jobs, [1], (results) => results[0] || null, { ...options, workers: 1 });
+}
+
+/**
+ * @param {(MctsResult|null|undefined)[]} results
+ * @param {number} seed Seed of the whole run.
+ * @returns {MctsResult|null}
+ */
+function mergeMcts(results, seed) {
+  /** @type {MctsResult|null} */
+  let merged = null;
+  for (const result of results) {
+    if (!result) continue;
+    if (!merged) {
+      merged = { player: result.player, seed, iterations: 0, options: {}, bestOption: null, principalVariation: [] };
+    }
+    merged.iterations += result.iterations;
+    for (const [option, { visits, value }] of Object.entries(result.options)) {
+      const stats = merged.options[option] || (merged.options[option] = { visits: 0, value: 0 });
+      const totalVisits = stats.visits + visits;
+      stats.value = totalVisits > 0 ? (stats.value * stats.visits + value * visits) / totalVisits : 0;
+      stats.visits = totalVisits;
+    }
+  }
+  if (!merged) return null;
+
+  for (const [option, stats] of Object.entries(merged.options)) {
+    if (!merged.bestOption || stats.visits > merged.options[merged.bestOption].visits) {
+      merged.bestOption = option;
+    }
+  }
+
+  // Take the line from the tree that explored the best option most.
+  let bestVisits = -1;
+  for (const result of results) {
+    if (!result || !merged.bestOption) continue;
+    const stats = result.options[merged.bestOption];
+    if (stats && stats.visits > bestVisits && result.principalVariation[0] === merged.bestOption) {
+      bestVisits = stats.visits;
+      merged.principalVariation = result.principalVariation;
+    }
+  }
+  if (merged.principalVariation.length === 0 && merged.bestOption) {
+    merged.principalVariation = [merged.bestOption];
+  }
+  return merged;
+}
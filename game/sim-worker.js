@@ -0,0 +1,59 @@
+//@ts-check
+
+// Web Worker entry point for sim-pool.js.  Each message describes one job: the
+// game module to load, the seed and moves that reach the position, and the
+// simulation to run there.  The worker replies with `{ result }` or `{ error }`.
+
+import { Engine, runMonteCarlo } from './engine.js';
+import { runMcts } from './mcts.js';
+import { listGames } from './registry.js';
+import { solve } from './solver.js';
+
+/** @typedef {import('./sim-pool.js').SimulationJob} SimulationJob */
+
+/**
+ * Starts a headless game from the module's StartState and replays `moves`.
+ * Built-in games are bundled with the worker: in a production build their
+ * module URL points at a copy whose own imports do not resolve.
+ * @param {string} gameModule
+ * @param {number} seed The seed the original game was started with.
+ * @param {string[]} moves
+ * @returns {Promise<Engine>}
+ */
+async function loadPosition(gameModule, seed, moves) {
+  const builtIn = listGames().find(game => game.module === gameModule);
+  const startState = builtIn
+    ? builtIn.createStartState()
+    : new (await import(/* @vite-ignore */ gameModule)).StartState();
+  const engine = new Engine();
+  await engine.initGame(startState, seed);
+  for (const move of moves) {
+    await engine.transition(move);
+  }
+  return engine;
+}
+
+/**
+ * @param {Engine} engine
+ * @param {SimulationJob} job
+ */
+function runJob(engine, job) {
+  switch (job.kind) {
+    case 'winner':
+      return runMonteCarlo(engine, job.simulations, { seed: job.seed, ...job.rollout });
+    case 'mcts':
+      return runMcts(engine, job.mcts);
+    case 'solve':
+      return solve(engine, job.solver);
+  }
+}
+
+self.onmessage = async (/** @type {MessageEvent} */ e) => {
+  const { gameModule, gameSeed, moves, job } = e.data;
+  try {
+    const engine = await loadPosition(gameModule, gameSeed, moves);
+    self.postMessage({ result: runJob(engine, job) });
+  } catch (err) {
+    self.postMessage({ error: String(err) });
+  }
+};
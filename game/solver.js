@@ -0,0 +1,378 @@
+//@ts-check
+
+import { GameContext, StateNode, getCanonicalKey, getChanceOutcomes, groupSymmetricOptions } from './engine.js';
+import { Random } from './random.js';
+
+/** @typedef {import('./engine.js').Position} Position */
+/** @typedef {import('./engine.js').GameState} GameState */
+
+/**
+ * @typedef {Object} SolverOptions
+ * @property {number} [maxNodes] Give up after expanding this many positions
+ *     (default 1,000,000).
+ * @property {number} [timeLimitMs] Give up after this many milliseconds.
+ * @property {'auto'|'alphabeta'|'maxn'} [algorithm] 'alphabeta' only works for
+ *     two-player games where every game is worth one point; 'auto' (the
+ *     default) tries it and falls back to max^n when the game turns out not to
+ *     be one.
+ */
+
+/**
+ * @typedef {Object} SolvedValue
+ * @property {number} value Score of the player to move under perfect play: 1
+ *     for a win, 0 for a loss, 0.5 for a two-player draw.
+ * @property {Object<string, number>} scores Score of every player.
+ */
+
+/**
+ * @typedef {Object} SolverResult
+ * @property {boolean} solved False if the game was too large for the budget;
+ *     `position` is then null and `options` empty.
+ * @property {string|null} reason Why the game was not solved.
+ * @property {'alphabeta'|'maxn'} algorithm The algorithm that ran last.
+ * @property {number} player The player to move, whose score `value` is.
+ * @property {SolvedValue|null} position Value of the current position.
+ * @property {Object<string, SolvedValue>} options Value after each option.
+ * @property {string[]} bestOptions The options that reach the position's value.
+ * @property {number} nodes Positions expanded.
+ * @property {number} tableSize Positions in the transposition table.
+ * @property {number} elapsedMs
+ */
+
+const DEFAULT_MAX_NODES = 1000000;
+const EPSILON = 1e-9;
+
+/** Thrown when the search runs out of budget. */
+class BudgetExceeded extends Error { }
+
+/** Thrown by alpha-beta when the game is not a two-player, one-point game. */
+class NotTwoPlayer extends Error { }
+
+/**
+ * A position after an option, with automatic transitions taken.
+ * @typedef {Object} Child
+ * @property {string} option
+ * @property {string[]} equivalents Options with the same value because they
+ *     lead to symmetric positions, `option` included.
+ * @property {number} weight Probability weight at chance nodes, 1 otherwise.
+ * @property {StateNode} head
+ * @property {GameState|null} state
+ */
+
+/**
+ * Walks the complete game tree from one position.
+ */
+class Search {
+  /**
+   * @param {SolverOptions} options
+   */
+  constructor(options) {
+    this.maxNodes = options.maxNodes || DEFAULT_MAX_NODES;
+    this.deadline = options.timeLimitMs ? Date.now() + options.timeLimitMs : Infinity;
+    /** States must not draw random numbers outside chance nodes; this keeps them repeatable if they do. */
+    this.rng = new Random(0);
+    this.nodes = 0;
+    /** @type {Map<string, any>} */
+    this.table = new Map();
+    /** Players seen so far by alpha-beta; the first is the one it maximizes for. */
+    /** @type {number[]} */
+    this.players = [];
+  }
+
+  #expand() {
+    this.nodes++;
+    if (this.nodes > this.maxNodes) {
+      throw new BudgetExceeded(`Too large to solve: gave up after ${this.maxNodes} positions.`);
+    }
+    if ((this.nodes & 1023) === 0 && Date.now() > this.deadline) {
+      throw new BudgetExceeded(`Too large to solve: gave up after ${this.nodes} positions (time limit).`);
+    }
+  }
+
+  /**
+   * Plays `option` and takes any automatic transitions after it.
+   * @param {StateNode} head
+   * @param {GameState} state
+   * @param {string|null} option
+   * @returns {{head: StateNode, state: GameState|null}}
+   */
+  #play(head, state, option) {
+    /** @type {GameState|null} */
+    let next = state;
+    let input = option;
+    while (next) {
+      head = new StateNode(head, next);
+      next = next.processOption(input, new GameContext(head, () => { }, this.rng));
+      if (!next) break;
+      const context = new GameContext(head, () => { }, this.rng);
+      if (getChanceOutcomes(next, context)) break;
+      const options = next.getOptions(context);
+      if (options.length > 1) break;
+      input = options.length === 1 ? options[0] : null;
+    }
+    return { head, state: next };
+  }
+
+  /**
+   * The moves from a position.  Chance nodes, and choices nobody is active
+   * for (e.g. a setup phase), are averaged over rather than maximized.  Of
+   * options that lead to symmetric positions only the first is played.
+   * @param {StateNode} head
+   * @param {GameState} state
+   * @returns {{chance: boolean, children: Child[]}}
+   */
+  children(head, state) {
+    const context = new GameContext(head, () => { }, this.rng);
+    const outcomes = getChanceOutcomes(state, context);
+    const chance = outcomes !== null || head.activePlayer === -1;
+    const moves = outcomes
+      ? outcomes.map(({ option, weight }) => ({ option, weight, equivalents: [option] }))
+      : chance
+        ? state.getOptions(context).map(option => ({ option, weight: 1, equivalents: [option] }))
+        : groupSymmetricOptions(state, context).map(group => ({ option: group[0], weight: 1, equivalents: group }));
+    return {
+      chance,
+      children: moves.map(move => ({ ...move, ...this.#play(head, state, move.option) })),
+    };
+  }
+
+  /**
+   * Value of a position for `this.players[0]`, as a number between 0 and 1.
+   * @param {StateNode} head
+   * @param {GameState|null} state
+   * @param {number} alpha
+   * @param {number} beta
+   * @returns {number}
+   */
+  alphaBeta(head, state, alpha, beta) {
+    if (!state) return this.#terminalValue(head);
+
+    const key = getCanonicalKey(state, new GameContext(head, () => { }, this.rng));
+    /** @type {{value: number, bound: 'exact'|'lower'|'upper'}|undefined} */
+    const entry = this.table.get(key);
+    if (entry) {
+      if (entry.bound === 'exact') return entry.value;
+      if (entry.bound === 'lower' && entry.value >= beta) return entry.value;
+      if (entry.bound === 'upper' && entry.value <= alpha) return entry.value;
+    }
+    this.#expand();
+
+    const { chance, children } = this.children(head, state);
+    if (chance) {
+      let total = 0;
+      let sum = 0;
+      for (const child of children) {
+        sum += child.weight * this.alphaBeta(child.head, child.state, 0, 1);
+        total += child.weight;
+      }
+      const value = sum / total;
+      this.table.set(key, { value, bound: 'exact' });
+      return value;
+    }
+
+    const mover = head.activePlayer;
+    this.#notePlayer(mover);
+    const maximizing = mover === this.players[0];
+    let best = maximizing ? -Infinity : Infinity;
+    let a = alpha;
+    let b = beta;
+    for (const child of children) {
+      const value = this.alphaBeta(child.head, child.state, a, b);
+      if (maximizing) {
+        best = Math.max(best, value);
+        a = Math.max(a, value);
+      } else {
+        best = Math.min(best, value);
+        b = Math.min(b, value);
+      }
+      if (a >= b) break;
+    }
+
+    const bound = best <= alpha ? 'upper' : best >= beta ? 'lower' : 'exact';
+    this.table.set(key, { value: best, bound });
+    return best;
+  }
+
+  /**
+   * @param {number} player
+   */
+  #notePlayer(player) {
+    if (this.players.includes(player)) return;
+    this.players.push(player);
+    if (this.players.length > 2) throw new NotTwoPlayer();
+  }
+
+  /**
+   * @param {StateNode} head The final node of a game.
+   * @returns {number}
+   */
+  #terminalValue(head) {
+    const scores = head.outcome ? head.outcome.scores : {};
+    let sum = 0;
+    for (const [player, score] of Object.entries(scores)) {
+      if (score !== 0) this.#notePlayer(parseInt(player));
+      sum += score;
+    }
+    if (Math.abs(sum - 1) > EPSILON) throw new NotTwoPlayer();
+    return scores[this.players[0]] || 0;
+  }
+
+  /**
+   * Scores of every player under max^n: each player picks the option that is
+   * best for themselves, the first one on ties.
+   * @param {StateNode} head
+   * @param {GameState|null} state
+   * @returns {Object<string, number>}
+   */
+  maxN(head, state) {
+    if (!state) return head.outcome ? { ...head.outcome.scores } : {};
+
+    const key = getCanonicalKey(state, new GameContext(head, () => { }, this.rng));
+    const cached = this.table.get(key);
+    if (cached) return cached;
+    this.#expand();
+
+    const { chance, children } = this.children(head, state);
+    /** @type {Object<string, number>} */
+    let result = {};
+    if (chance) {
+      const total = children.reduce((sum, child) => sum + child.weight, 0);
+      for (const child of children) {
+        for (const [player, score] of Object.entries(this.maxN(child.head, child.state))) {
+          result[player] = (result[player] || 0) + score * child.weight / total;
+        }
+      }
+    } else {
+      const mover = head.activePlayer;
+      let best = -Infinity;
+      for (const child of children) {
+        const scores = this.maxN(child.head, child.state);
+        if ((scores[mover] || 0) > best) {
+          best = scores[mover] || 0;
+          result = scores;
+        }
+      }
+    }
+    this.table.set(key, result);
+    return result;
+  }
+}
+
+/**
+ * Solves the game from the current position by searching every line to the
+ * end.  Two-player games are searched with alpha-beta, other games with max^n;
+ * chance nodes are averaged by weight.  A transposition table, keyed by
+ * getCanonicalKey, makes positions reached by different move orders or
+ * equivalent by symmetry count once.  The search sees hidden
+ * information, and only suits games small enough to enumerate: it stops and
+ * reports `solved: false` once the budget runs out.
+ *
+ * @param {Position} engine
+ * @param {SolverOptions} [options]
+ * @returns {SolverResult|null} null if the game is over.
+ */
+export function solve(engine, options = {}) {
+  if (!engine.currentState || !engine.stateHead) return null;
+  const { currentState, stateHead } = engine;
+  const algorithm = options.algorithm || 'auto';
+  const player = stateHead.activePlayer;
+  const started = Date.now();
+
+  let search = new Search(options);
+  const root = search.children(stateHead, currentState);
+
+  /**
+   * @param {'alphabeta'|'maxn'} ran
+   * @param {(child: Child) => Object<string, number>} scoresAfter
+   * @returns {SolverResult}
+   */
+  const run = (ran, scoresAfter) => {
+    /** @type {Object<string, SolvedValue>} */
+    const values = {};
+    /** @type {string|null} */
+    let reason = null;
+    try {
+      for (const child of root.children) {
+        const scores = scoresAfter(child);
+        for (const option of child.equivalents) {
+          values[option] = { value: scores[player] || 0, scores: { ...scores } };
+        }
+      }
+    } catch (err) {
+      if (err instanceof BudgetExceeded) {
+        reason = err.message;
+      } else if (err instanceof RangeError) {
+        reason = 'Too large to solve: the game is too deep.';
+      } else {
+        throw err;
+      }
+    }
+
+    const best = Math.max(...Object.values(values).map(v => v.value));
+    const bestOptions = reason ? [] : Object.keys(values).filter(opt => values[opt].value >= best - EPSILON);
+    return {
+      solved: reason === null,
+      reason,
+      algorithm: ran,
+      player,
+      position: reason ? null : positionValue(root, values, bestOptions, player),
+      options: reason ? {} : values,
+      bestOptions,
+      nodes: search.nodes,
+      tableSize: search.table.size,
+      elapsedMs: Date.now() - started,
+    };
+  };
+
+  if (algorithm !== 'maxn' && player !== -1) {
+    try {
+      search.players = [player];
+      const result = run('alphabeta', (child) => ({ [player]: search.alphaBeta(child.head, child.state, 0, 1) }));
+      // The opponent gets the rest of the point.
+      const opponent = search.players[1];
+      if (opponent !== undefined) {
+        for (const value of [result.position, ...Object.values(result.options)]) {
+          if (value) value.scores[opponent] = 1 - value.value;
+        }
+      }
+      return result;
+    } catch (err) {
+      if (!(err instanceof NotTwoPlayer)) throw err;
+      if (algorithm === 'alphabeta') {
+        throw new Error('Alpha-beta needs a two-player game worth one point per game; use max^n');
+      }
+      // max^n starts over, within what is left of the budget.
+      const spent = search;
+      search = new Search(options);
+      search.nodes = spent.nodes;
+      search.deadline = spent.deadline;
+    }
+  }
+  return run('maxn', (child) => search.maxN(child.head, child.state));
+}
+
+/**
+ * The value of the root: its best option, or the average of its options when
+ * nobody is active there.
+ * @param {{chance: boolean, children: Child[]}} root
+ * @param {Object<string, SolvedValue>} values
+ * @param {string[]} bestOptions
+ * @param {number} player
+ * @returns {SolvedValue|null}
+ */
+function positionValue(root, values, bestOptions, player) {
+  if (!root.chance) {
+    if (bestOptions.length === 0) return null;
+    const best = values[bestOptions[0]];
+    return { value: best.value, scores: { ...best.scores } };
+  }
+  const total = root.children.reduce((sum, child) => sum + child.weight, 0);
+  /** @type {Object<string, number>} */
+  const scores = {};
+  for (const child of root.children) {
+    for (const [p, score] of Object.entries(values[child.option].scores)) {
+      scores[p] = (scores[p] || 0) + score * child.weight / total;
+    }
+  }
+  return { value: scores[player] || 0, scores };
+}
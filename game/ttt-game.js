@@ -1,5 +1,7 @@
 //@ts-check
 
+import { grid, heading, line, span } from './output.js';
+
 /** @typedef {import('./engine.js').GameContext} GameContext */
 /** @typedef {import('./engine.js').GameState} GameState */
 
@@ -11,6 +13,22 @@ const WINS = [
   [0, 4, 8], [2, 4, 6]             // Diagonals
 ];
 
+// The 8 rotations and reflections of the board, as index permutations:
+// cell i moves to cell SYMMETRIES[s][i].
+const SYMMETRIES = (() => {
+  /** @param {number} i */
+  const rotate = (i) => (i % 3) * 3 + (2 - Math.floor(i / 3));
+  /** @param {number} i */
+  const mirror = (i) => Math.floor(i / 3) * 3 + (2 - (i % 3));
+  const symmetries = [];
+  let perm = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+  for (let k = 0; k < 4; k++) {
+    symmetries.push(perm, perm.map(mirror));
+    perm = perm.map(rotate);
+  }
+  return symmetries;
+})();
+
 /**
  * State: Start Game
  * Initializes the board and starts the game loop.
@@ -37,12 +55,12 @@ export class StartState {
 
     // Player 1 starts
     context.setActivePlayer(1);
-    context.log("Welcome to Tic-Tac-Toe.");
-    context.log("Player 1 is X. Player 2 is O.");
+    context.log(heading("Tic-Tac-Toe"));
+    context.log(line(span("Player 1 is X", { player: 1 }), ". ", span("Player 2 is O", { player: 2 }), "."));
     context.log("----------------");
     context.log("Game Started.");
     printBoard(context, Array(9).fill(null));
-    context.log("Player 1 (X), choose a position (0-8):");
+    context.log("Player 1 (X), choose a position (1-9):");
 
     return new PlayerTurn();
   }
@@ -70,6 +88,33 @@ export class PlayerTurn {
     return options;
   }
 
+  /**
+   * The board and the player to move; nothing else affects the rest of the game.
+   * @param {GameContext} context
+   * @returns {string}
+   */
+  getStateKey(context) {
+    return boardKey(context.get('board'), context.node.activePlayer);
+  }
+
+  /**
+   * @param {GameContext} context
+   * @returns {import('./engine.js').Symmetry[]}
+   */
+  getSymmetries(context) {
+    /** @type {Array<number|null>} */
+    const board = context.get('board');
+    return SYMMETRIES.map(perm => {
+      /** @type {Array<number|null>} */
+      const image = Array(9).fill(null);
+      board.forEach((cell, i) => { image[perm[i]] = cell; });
+      return {
+        key: boardKey(image, context.node.activePlayer),
+        mapOption: (/** @type {string} */ option) => String(perm[parseInt(option) - 1] + 1),
+      };
+    });
+  }
+
   /**
    * @param {string} input
    * @param {GameContext} context
@@ -89,7 +134,7 @@ export class PlayerTurn {
     newBoard[idx] = currentPlayer;
 
     context.set('board', newBoard);
-    context.log(`> Player ${currentPlayer} chose ${idx}`);
+    context.log(`> Player ${currentPlayer} chose ${input}`);
     printBoard(context, newBoard);
 
     // Check Win
@@ -106,7 +151,7 @@ export class PlayerTurn {
     // Switch Player
     const nextPlayer = currentPlayer === 1 ? 2 : 1;
     context.setActivePlayer(nextPlayer);
-    context.log(`Player ${nextPlayer} (${nextPlayer === 1 ? 'X' : 'O'}), choose a position (0-8):`);
+    context.log(`Player ${nextPlayer} (${nextPlayer === 1 ? 'X' : 'O'}), choose a position (1-9):`);
 
     return new PlayerTurn();
   }
@@ -139,6 +184,7 @@ export class EndGame {
       context.setWinner(winnerId);
       context.log(`Player ${winnerId} wins!`);
     } else {
+      context.setDraw([1, 2]);
       context.log("It's a draw!");
     }
     context.log("Game Over.");
@@ -160,13 +206,32 @@ function checkWin(board, player) {
 }
 
 /**
- * Prints the board to the log.
+ * @param {Array<number|null>} board
+ * @param {number} player The player to move.
+ * @returns {string}
+ */
+function boardKey(board, player) {
+  return `turn:${player}:${board.map(c => c === null ? '.' : c).join('')}`;
+}
+
+/**
+ * Prints the board to the log.  Empty cells can be clicked to play them.
  * @param {GameContext} context
  * @param {Array<number|null>} board
  */
 function printBoard(context, board) {
-  const s = board.map(c => c === 1 ? 'X' : (c === 2 ? 'O' : '.'));
-  context.log(`${s[0]} ${s[1]} ${s[2]}`);
-  context.log(`${s[3]} ${s[4]} ${s[5]}`);
-  context.log(`${s[6]} ${s[7]} ${s[8]}`);
-}
\ No newline at end of file
+  const cells = board.map((c, i) => c === null
+    ? span('.', { option: String(i + 1) })
+    : span(c === 1 ? 'X' : 'O', { player: c }));
+  context.log(grid([cells.slice(0, 3), cells.slice(3, 6), cells.slice(6, 9)]));
+}
+
+/** @type {import('./registry.js').GameInfo} */
+export const GAME_INFO = {
+  id: 'ttt',
+  title: 'Tic-Tac-Toe',
+  description: 'Two players take turns marking a 3x3 grid. Three in a row wins.',
+  minPlayers: 2,
+  maxPlayers: 2,
+  createStartState: () => new StartState(),
+};
@@ -0,0 +1,144 @@
+//@ts-check
+
+/** @typedef {import('./engine.js').Engine} Engine */
+/** @typedef {import('./engine.js').StateNode} StateNode */
+
+/**
+ * Returns the moves players chose directly after `node`, looking through
+ * automatic transitions.
+ * @param {StateNode} node
+ * @returns {StateNode[]}
+ */
+export function chosenChildren(node) {
+  /** @type {StateNode[]} */
+  const result = [];
+  for (const child of node.children) {
+    if (child.chosen) {
+      result.push(child);
+    } else {
+      result.push(...chosenChildren(child));
+    }
+  }
+  return result;
+}
+
+/**
+ * Shows every line explored in the current game as a tree.  A line is printed
+ * on one row until it branches; each branch point can be collapsed.  Clicking a
+ * move jumps to the position after it.
+ */
+export class VariationTreeView {
+  /**
+   * @param {HTMLElement} container
+   * @param {Engine} engine
+   * @param {() => void} [onNavigate] Called after a click moved the engine.
+   */
+  constructor(container, engine, onNavigate) {
+    this.container = container;
+    this.engine = engine;
+    this.onNavigate = onNavigate || null;
+    /** Branch points the user collapsed. */
+    /** @type {WeakSet<StateNode>} */
+    this.collapsed = new WeakSet();
+  }
+
+  /**
+   * Redraws the tree from the engine's current history.
+   */
+  render() {
+    this.container.innerHTML = '';
+    let root = this.engine.stateHead;
+    if (!root) return;
+
+    /** @type {Set<StateNode>} */
+    const current = new Set();
+    for (let n = /** @type {StateNode|null} */ (root); n; n = n.parent) current.add(n);
+    while (root.parent) root = root.parent;
+
+    const moves = chosenChildren(root);
+    if (moves.length === 0) {
+      this.container.textContent = 'No moves yet.';
+    } else {
+      this.container.appendChild(this.#renderBranches(root, moves, current));
+    }
+  }
+
+  /**
+   * @param {StateNode} from The node the branches start from.
+   * @param {StateNode[]} moves
+   * @param {Set<StateNode>} current Nodes on the line being played.
+   * @returns {HTMLElement}
+   */
+  #renderBranches(from, moves, current) {
+    if (moves.length === 1) return this.#renderLine(moves[0], current);
+
+    const wrapper = document.createElement('div');
+    const toggle = document.createElement('span');
+    toggle.className = 'variation-toggle';
+    toggle.textContent = this.collapsed.has(from) ? `[+${moves.length}]` : '[-]';
+    toggle.onclick = () => {
+      if (this.collapsed.has(from)) {
+        this.collapsed.delete(from);
+      } else {
+        this.collapsed.add(from);
+      }
+      this.render();
+    };
+    wrapper.appendChild(toggle);
+
+    if (!this.collapsed.has(from)) {
+      const list = document.createElement('ul');
+      list.className = 'variation-list';
+      for (const move of moves) {
+        const item = document.createElement('li');
+        item.appendChild(this.#renderLine(move, current));
+        list.appendChild(item);
+      }
+      wrapper.appendChild(list);
+    }
+    return wrapper;
+  }
+
+  /**
+   * @param {StateNode} first
+   * @param {Set<StateNode>} current
+   * @returns {HTMLElement}
+   */
+  #renderLine(first, current) {
+    const line = document.createElement('div');
+    line.className = 'variation-line';
+
+    /** @type {StateNode} */
+    let node = first;
+    while (true) {
+      line.appendChild(this.#renderMove(node, current));
+      const next = chosenChildren(node);
+      if (next.length === 1) {
+        node = next[0];
+        continue;
+      }
+      if (next.length > 1) {
+        line.appendChild(this.#renderBranches(node, next, current));
+      }
+      return line;
+    }
+  }
+
+  /**
+   * @param {StateNode} node
+   * @param {Set<StateNode>} current
+   * @returns {HTMLElement}
+   */
+  #renderMove(node, current) {
+    const mover = node.parent ? node.parent.activePlayer : -1;
+    const el = document.createElement('span');
+    el.className = current.has(node) ? 'variation-move current' : 'variation-move';
+    el.textContent = mover === -1 ? `${node.input}` : `P${mover}:${node.input}`;
+    el.onclick = () => {
+      this.engine.goToNode(node);
+      this.render();
+      if (this.onNavigate) this.onNavigate();
+    };
+    return el;
+  }
+}
@@ -0,0 +1,299 @@
+//@ts-check
+
+// A small WebSocket (RFC 6455) implementation for Node, enough for the game
+// server and its clients: text messages, ping and close.  Browsers use their
+// built-in WebSocket, which the connections here resemble.
+
+import { createHash, randomBytes } from 'node:crypto';
+import http from 'node:http';
+
+/** @typedef {import('node:stream').Duplex} Duplex */
+
+/**
+ * What the game server and NetSession need of a WebSocket; a browser
+ * WebSocket qualifies once it is open.
+ * @typedef {Object} MessageSocket
+ * @property {(data: string) => void} send
+ * @property {(code?: number, reason?: string) => void} close
+ * @property {((event: {data: any}) => void)|null} onmessage
+ * @property {((event: {code: number, reason: string}) => void)|null} onclose
+ */
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+/** Larger messages close the connection; game messages are far smaller. */
+const MAX_MESSAGE_BYTES = 1 << 20;
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+/**
+ * One end of a WebSocket connection over a socket that has completed the
+ * handshake.
+ * @implements {MessageSocket}
+ */
+export class WebSocketConnection {
+  /**
+   * @param {Duplex} socket
+   * @param {boolean} isClient Clients mask what they send; servers require it.
+   * @param {Buffer} [head] Bytes already read past the handshake.
+   */
+  constructor(socket, isClient, head) {
+    this.socket = socket;
+    this.isClient = isClient;
+    /** @type {((event: {data: any}) => void)|null} */
+    this.onmessage = null;
+    /** @type {((event: {code: number, reason: string}) => void)|null} */
+    this.onclose = null;
+    this.closed = false;
+
+    // Moves are small and should go out at once.
+    /** @type {any} */ (socket).setNoDelay?.(true);
+    socket.on('data', (/** @type {Buffer} */ chunk) => this.#receive(chunk));
+    socket.on('close', () => this.#closed(1006, ''));
+    socket.on('error', () => socket.destroy());
+    if (head && head.length > 0) queueMicrotask(() => this.#receive(head));
+  }
+
+  #buffer = Buffer.alloc(0);
+  /** @type {Buffer[]} */
+  #fragments = [];
+  #closeCode = 1005;
+  #closeReason = '';
+
+  /**
+   * @param {string} data
+   */
+  send(data) {
+    this.#sendFrame(OP_TEXT, Buffer.from(data, 'utf8'));
+  }
+
+  /**
+   * Starts the closing handshake.
+   * @param {number} [code]
+   * @param {string} [reason]
+   */
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.#closeCode = code;
+    this.#closeReason = reason;
+    this.#sendFrame(OP_CLOSE, payload);
+    this.closed = true;
+    this.socket.end();
+  }
+
+  /**
+   * @param {number} opcode
+   * @param {Buffer} payload
+   */
+  #sendFrame(opcode, payload) {
+    if (this.closed || this.socket.destroyed) return;
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const maskBytes = this.isClient ? 4 : 0;
+    const frame = Buffer.alloc(2 + lengthBytes + maskBytes + length);
+    frame[0] = 0x80 | opcode;
+    frame[1] = (this.isClient ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) frame.writeUInt16BE(length, 2);
+    if (lengthBytes === 8) frame.writeBigUInt64BE(BigInt(length), 2);
+    const offset = 2 + lengthBytes + maskBytes;
+    payload.copy(frame, offset);
+    if (this.isClient) {
+      const mask = randomBytes(4);
+      mask.copy(frame, 2 + lengthBytes);
+      for (let i = 0; i < length; i++) frame[offset + i] ^= mask[i & 3];
+    }
+    this.socket.write(frame);
+  }
+
+  /**
+   * @param {Buffer} chunk
+   */
+  #receive(chunk) {
+    this.#buffer = this.#buffer.length === 0 ? chunk : Buffer.concat([this.#buffer, chunk]);
+    while (!this.closed) {
+      const frame = this.#readFrame();
+      if (!frame) return;
+      this.#handleFrame(frame.fin, frame.opcode, frame.payload);
+    }
+  }
+
+  /**
+   * Takes the next complete frame off the buffer, if there is one.
+   * @returns {{fin: boolean, opcode: number, payload: Buffer}|null}
+   */
+  #readFrame() {
+    const buffer = this.#buffer;
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const long = buffer.readBigUInt64BE(2);
+      length = long > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(long);
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      this.#fail(1009, 'Message too big');
+      return null;
+    }
+    if (masked === this.isClient) {
+      this.#fail(1002, this.isClient ? 'Server frames must not be masked' : 'Client frames must be masked');
+      return null;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < length; i++) payload[i] ^= buffer[maskOffset + (i & 3)];
+    }
+    this.#buffer = buffer.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  /**
+   * @param {boolean} fin
+   * @param {number} opcode
+   * @param {Buffer} payload
+   */
+  #handleFrame(fin, opcode, payload) {
+    if (opcode === OP_PING) {
+      this.#sendFrame(OP_PONG, payload);
+    } else if (opcode === OP_PONG) {
+      // Nothing to do: we never send pings.
+    } else if (opcode === OP_CLOSE) {
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+      const reason = payload.subarray(2).toString('utf8');
+      if (!this.closed) {
+        this.#sendFrame(OP_CLOSE, payload.subarray(0, 2));
+        this.#closeCode = code;
+        this.#closeReason = reason;
+        this.closed = true;
+      }
+      this.socket.end();
+    } else if (opcode === OP_TEXT || opcode === OP_CONTINUATION) {
+      if (opcode === OP_TEXT && this.#fragments.length > 0) return this.#fail(1002, 'Expected a continuation frame');
+      if (opcode === OP_CONTINUATION && this.#fragments.length === 0) return this.#fail(1002, 'Unexpected continuation frame');
+      this.#fragments.push(payload);
+      const size = this.#fragments.reduce((sum, part) => sum + part.length, 0);
+      if (size > MAX_MESSAGE_BYTES) return this.#fail(1009, 'Message too big');
+      if (!fin) return;
+      const data = Buffer.concat(this.#fragments).toString('utf8');
+      this.#fragments = [];
+      if (this.onmessage) this.onmessage({ data });
+    } else {
+      this.#fail(1003, 'Only text messages are supported');
+    }
+  }
+
+  /**
+   * @param {number} code
+   * @param {string} reason
+   */
+  #fail(code, reason) {
+    this.close(code, reason);
+    this.#buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * The socket is gone; tells `onclose`, once.
+   * @param {number} code Used if no close frame was exchanged.
+   * @param {string} reason
+   */
+  #closed(code, reason) {
+    if (this.#closeCode === 1005 && !this.closed) {
+      this.#closeCode = code;
+      this.#closeReason = reason;
+    }
+    this.closed = true;
+    const onclose = this.onclose;
+    this.onclose = null;
+    if (onclose) onclose({ code: this.#closeCode, reason: this.#closeReason });
+  }
+}
+
+/**
+ * Completes the handshake for an HTTP upgrade request, as received by an
+ * http.Server's 'upgrade' event.  Returns null, after answering with 400, if
+ * the request is not a WebSocket handshake.
+ * @param {http.IncomingMessage} request
+ * @param {Duplex} socket
+ * @param {Buffer} head
+ * @returns {WebSocketConnection|null}
+ */
+export function acceptWebSocket(request, socket, head) {
+  const key = request.headers['sec-websocket-key'];
+  const upgrade = request.headers.upgrade;
+  if (!key || !upgrade || upgrade.toLowerCase() !== 'websocket' || request.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '', '',
+  ].join('\r\n'));
+  return new WebSocketConnection(socket, false, head);
+}
+
+/**
+ * Opens a WebSocket connection from Node, e.g. to `ws://localhost:8787`.
+ * @param {string} url
+ * @returns {Promise<WebSocketConnection>}
+ */
+export function connectWebSocket(url) {
+  const target = new URL(url);
+  if (target.protocol !== 'ws:') throw new Error(`Only ws:// URLs are supported, not ${url}`);
+  const key = randomBytes(16).toString('base64');
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      host: target.hostname,
+      port: target.port || 80,
+      path: target.pathname + target.search,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    request.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error('The server answered the handshake wrongly'));
+        return;
+      }
+      resolve(new WebSocketConnection(socket, true, head));
+    });
+    request.on('response', response => {
+      response.resume();
+      reject(new Error(`The server refused the WebSocket: ${response.statusCode}`));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+function acceptKey(key) {
+  return createHash('sha1').update(key + GUID).digest('base64');
+}
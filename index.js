@@ -1,23 +1,134 @@
 //@ts-check
 
 // import './style.css';
-import { Engine, runMonteCarlo, runOptionMonteCarlo } from './game/engine.js';
-import { StartState } from './game/modulo-game.js';
+import { Engine } from './game/engine.js';
+import { DomRenderer } from './game/dom-renderer.js';
+import { runMonteCarloAsync, runMctsAsync, solveAsync } from './game/sim-pool.js';
+import {
+  RecordPlayer, createRecord, parseRecord, recordFromNotation, recordToJson, recordToNotation, replayRecord,
+} from './game/record.js';
+import { autoSave, loadSession } from './game/session-store.js';
+import { VariationTreeView } from './game/variation-tree.js';
+import { AGENT_KINDS, createAgent } from './game/agents.js';
+import { getGame, listGames } from './game/registry.js';
+import { GameMenu } from './game/game-menu.js';
+import { reviewGame } from './game/review.js';
+import { renderReview } from './game/review-view.js';
+import { NetSession } from './game/net-session.js';
+
+/** @typedef {import('./game/registry.js').RegisteredGame} RegisteredGame */
+
+// Players that can be given a seat in the seat panel, at most.
+const MAX_SEATS = 4;
+const WINNER_SIMULATIONS = 10000;
+const MCTS_ITERATIONS = 20000;
+const SOLVER_MAX_NODES = 1000000;
+const REVIEW_SIMULATIONS = 2000;
+const DEFAULT_SERVER = 'ws://localhost:8787';
 
 const root = document.getElementById('root');
 if (!root) throw new Error('Root element not found');
 
-// Initialize the game
-const engine = new Engine();
-console.log('A');
-engine.initGame(root, new StartState());
-console.log('B');
+const engine = new Engine(new DomRenderer(root));
+
+/** The game being played; null while the start screen is shown. */
+/** @type {RegisteredGame|null} */
+let currentGame = null;
+
+/** @type {RecordPlayer|null} */
+let recordPlayer = null;
+
+/** Counts calls to startGame, so a failed start is only reported while it is current. */
+let gameStarts = 0;
+
+/** The network game being played instead of the local engine, if any. */
+/** @type {NetSession|null} */
+let netSession = null;
+
+const menu = new GameMenu(engine.renderer, listGames(), (game) => startGame(game));
 
 // Set up global input handling
 document.addEventListener('keydown', (e) => {
-  engine.handleGlobalKeydown(e.key);
+  // Typing into the record box or the seat controls must not reach the game.
+  if (e.target instanceof HTMLTextAreaElement || e.target instanceof HTMLInputElement ||
+    e.target instanceof HTMLSelectElement) return;
+
+  // Keep the browser from scrolling or moving focus on keys the game uses.
+  if (e.key.startsWith('Arrow') || e.key.startsWith('Page') || e.key === 'Tab') e.preventDefault();
+
+  if (netSession) {
+    netSession.handleKeydown(e.key);
+    return;
+  }
+  if (menu.active) {
+    menu.handleKeydown(e.key);
+    return;
+  }
+  if (e.key === 'Escape') {
+    showMenu();
+    return;
+  }
+
+  if (recordPlayer && recordPlayer.isOnRecord() && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+    stepRecord(e.key === 'ArrowRight' ? 1 : -1);
+  } else {
+    engine.handleGlobalKeydown(e.key);
+  }
 });
 
+// The panels follow the engine, whoever moved: the keyboard, a click, an agent
+// or a record.  One redraw covers everything that happened in the same task.
+let refreshQueued = false;
+const refreshPanels = () => {
+  if (refreshQueued) return;
+  refreshQueued = true;
+  queueMicrotask(() => {
+    refreshQueued = false;
+    if (menu.active || netSession) return;
+    treeView.render();
+    updateRecordStatus();
+  });
+};
+engine.subscribe('newGame', refreshPanels);
+engine.subscribe('transition', refreshPanels);
+engine.subscribe('undo', refreshPanels);
+
+// --- Game Bar ---
+const gameBar = document.createElement('div');
+gameBar.className = 'mc-container game-bar';
+
+const gameTitle = document.createElement('span');
+gameTitle.className = 'game-title';
+
+const newGameBtn = document.createElement('button');
+newGameBtn.className = 'mc-button';
+newGameBtn.textContent = 'New Game';
+newGameBtn.style.marginRight = '10px';
+
+const switchGameBtn = document.createElement('button');
+switchGameBtn.className = 'mc-button';
+switchGameBtn.textContent = 'Switch Game';
+
+newGameBtn.onclick = () => {
+  if (currentGame) startGame(currentGame);
+  newGameBtn.blur();
+};
+switchGameBtn.onclick = () => {
+  showMenu();
+  switchGameBtn.blur();
+};
+
+gameBar.appendChild(gameTitle);
+gameBar.appendChild(newGameBtn);
+gameBar.appendChild(switchGameBtn);
+document.body.appendChild(gameBar);
+
+// --- Variation Tree ---
+const treeContainer = document.createElement('div');
+treeContainer.className = 'mc-container variation-tree';
+document.body.appendChild(treeContainer);
+const treeView = new VariationTreeView(treeContainer, engine);
+
 // --- Monte Carlo UI ---
 const simContainer = document.createElement('div');
 simContainer.className = 'mc-container';
@@ -30,82 +141,783 @@ winnerBtn.style.marginRight = '10px';
 const optionsBtn = document.createElement('button');
 optionsBtn.className = 'mc-button';
 optionsBtn.textContent = 'Estimate Options';
+optionsBtn.style.marginRight = '10px';
+
+const solveBtn = document.createElement('button');
+solveBtn.className = 'mc-button';
+solveBtn.textContent = 'Solve';
+solveBtn.style.marginRight = '10px';
+
+const reviewBtn = document.createElement('button');
+reviewBtn.className = 'mc-button';
+reviewBtn.textContent = 'Review Game';
+reviewBtn.style.marginRight = '10px';
+
+const reviewEvaluator = document.createElement('select');
+reviewEvaluator.className = 'seat-select';
+reviewEvaluator.style.marginRight = '10px';
+for (const [value, label] of [['montecarlo', 'Review: Monte Carlo'], ['solver', 'Review: Solver']]) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  reviewEvaluator.appendChild(option);
+}
+
+const cancelBtn = document.createElement('button');
+cancelBtn.className = 'mc-button';
+cancelBtn.textContent = 'Cancel';
+cancelBtn.disabled = true;
+
+const statusDiv = document.createElement('div');
+statusDiv.className = 'mc-status';
 
 const resultsDiv = document.createElement('div');
 resultsDiv.className = 'mc-results';
 
-// -- Helper to clear results --
-const clearResults = () => {
-  resultsDiv.innerHTML = 'Calculating...';
+// -- Run bookkeeping: only one simulation runs at a time --
+/** @type {AbortController|null} */
+let currentRun = null;
+
+/**
+ * Cancels any running simulation and starts tracking a new one.
+ * @returns {AbortController}
+ */
+const startRun = () => {
+  if (currentRun) currentRun.abort();
+  currentRun = new AbortController();
+  cancelBtn.disabled = false;
+  statusDiv.textContent = 'Calculating...';
+  resultsDiv.innerHTML = '';
+  return currentRun;
 };
 
-// -- Estimate Winner Handler --
-winnerBtn.onclick = () => {
-  clearResults();
+/**
+ * @param {AbortController} run
+ */
+const finishRun = (run) => {
+  if (currentRun !== run) return;
+  currentRun = null;
+  cancelBtn.disabled = true;
+};
 
-  setTimeout(() => {
-    const results = runMonteCarlo(engine, 1000);
-    resultsDiv.innerHTML = '';
+/**
+ * @param {AbortController} run
+ * @param {unknown} err
+ */
+const reportFailure = (run, err) => {
+  if (currentRun !== run) return;
+  statusDiv.textContent = run.signal.aborted ? 'Cancelled.' : `Simulation failed: ${err}`;
+};
 
-    if (!results) {
-      resultsDiv.textContent = "Game inactive or over.";
-      return;
-    }
+cancelBtn.onclick = () => {
+  if (currentRun) currentRun.abort();
+};
 
-    const sortedPlayers = Object.keys(results).sort((a, b) => parseInt(a) - parseInt(b));
+// -- Renderers for (partial) results --
 
-    if (sortedPlayers.length === 0) {
-      resultsDiv.textContent = "No winners (simulation inconclusive).";
-      return;
-    }
+/**
+ * @param {import('./game/outcome.js').SimulationStats} results
+ */
+const renderWinnerResults = (results) => {
+  resultsDiv.innerHTML = '';
+  const players = new Set([...Object.keys(results.wins), ...Object.keys(results.expectedScores)]);
+  const sortedPlayers = [...players].sort((a, b) => parseInt(a) - parseInt(b));
+
+  /** @param {string} text */
+  const addLine = (text) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    resultsDiv.appendChild(line);
+  };
+  /** @param {number} count */
+  const percent = (count) => ((count / results.games) * 100).toFixed(1);
+
+  sortedPlayers.forEach(player => {
+    const wins = results.wins[player] || 0;
+    const score = (results.expectedScores[player] || 0).toFixed(3);
+    addLine(`Player ${player} Win Probability: ${percent(wins)}% (${wins} wins), Expected Score: ${score}`);
+  });
+  addLine(`Draw Probability: ${percent(results.draws)}% (${results.draws} draws)`);
+  if (results.unfinished > 0) {
+    addLine(`No Result: ${percent(results.unfinished)}% (${results.unfinished} games)`);
+  }
+  if (results.evaluated > 0) {
+    addLine(`Cut Off and Evaluated: ${percent(results.evaluated)}% (${results.evaluated} games)`);
+  }
+};
+
+/**
+ * @param {import('./game/mcts.js').MctsResult} results
+ */
+const renderOptionResults = (results) => {
+  resultsDiv.innerHTML = '';
+  const options = Object.keys(results.options).sort((a, b) => {
+    // Sort by visit count descending, then by option value
+    return results.options[b].visits - results.options[a].visits || parseInt(a) - parseInt(b);
+  });
+
+  const header = document.createElement('div');
+  header.style.marginBottom = '10px';
+  header.style.color = '#fff';
+  header.textContent = `Expected Score for Player ${results.player} by Move (${results.iterations} MCTS iterations):`;
+  resultsDiv.appendChild(header);
+
+  options.forEach(opt => {
+    const { visits, value } = results.options[opt];
+    const line = document.createElement('div');
+    line.textContent = `Move [${opt}] -> Expected Score: ${value.toFixed(3)} (${visits} visits)`;
+    resultsDiv.appendChild(line);
+  });
+
+  const pvLine = document.createElement('div');
+  pvLine.style.marginTop = '10px';
+  pvLine.textContent = `Best line: ${results.principalVariation.join(' ')}`;
+  resultsDiv.appendChild(pvLine);
+};
 
-    sortedPlayers.forEach(player => {
-      const wins = results[player];
-      const probability = ((wins / 1000) * 100).toFixed(1);
-      const line = document.createElement('div');
-      line.textContent = `Player ${player} Win Probability: ${probability}% (${wins} wins)`;
-      resultsDiv.appendChild(line);
+/**
+ * @param {import('./game/solver.js').SolverResult} results
+ */
+const renderSolverResults = (results) => {
+  resultsDiv.innerHTML = '';
+  /** @param {string} text */
+  const addLine = (text) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    resultsDiv.appendChild(line);
+  };
+  /** @param {Object<string, number>} scores */
+  const formatScores = (scores) => Object.keys(scores)
+    .sort((a, b) => parseInt(a) - parseInt(b))
+    .map(player => `P${player}: ${scores[player].toFixed(3)}`)
+    .join(', ');
+
+  if (!results.solved || !results.position) {
+    addLine(results.reason || 'Not solved.');
+    return;
+  }
+  const header = document.createElement('div');
+  header.style.marginBottom = '10px';
+  header.style.color = '#fff';
+  header.textContent = `Perfect play (${results.algorithm}): ${formatScores(results.position.scores)}`;
+  resultsDiv.appendChild(header);
+
+  const options = Object.keys(results.options).sort((a, b) =>
+    results.options[b].value - results.options[a].value || parseInt(a) - parseInt(b));
+  options.forEach(opt => {
+    const marker = results.bestOptions.includes(opt) ? ' (best)' : '';
+    addLine(`Move [${opt}] -> ${formatScores(results.options[opt].scores)}${marker}`);
+  });
+};
+
+// -- Estimate Winner Handler --
+winnerBtn.onclick = async () => {
+  const run = startRun();
+  try {
+    if (!currentGame) return;
+    const results = await runMonteCarloAsync(engine, WINNER_SIMULATIONS, {
+      gameModule: currentGame.module,
+      signal: run.signal,
+      onProgress: ({ done, total, results }) => {
+        statusDiv.textContent = `Calculating... ${done}/${total} games`;
+        renderWinnerResults(results);
+      },
     });
-  }, 10);
+    if (currentRun !== run) return;
+
+    if (!results) {
+      statusDiv.textContent = "Game inactive or over.";
+      return;
+    }
+    statusDiv.textContent = `${WINNER_SIMULATIONS} games simulated (seed ${results.seed}).`;
+    renderWinnerResults(results);
+  } catch (err) {
+    reportFailure(run, err);
+  } finally {
+    finishRun(run);
+  }
 };
 
 // -- Estimate Options Handler --
-optionsBtn.onclick = () => {
-  clearResults();
-
-  setTimeout(() => {
-    const currentPlayer = engine.getActivePlayer();
-    const simCount = 200; // Simulations per option
-    const results = runOptionMonteCarlo(engine, simCount);
-    resultsDiv.innerHTML = '';
+optionsBtn.onclick = async () => {
+  const run = startRun();
+  try {
+    if (!currentGame) return;
+    const results = await runMctsAsync(engine, { iterations: MCTS_ITERATIONS }, {
+      gameModule: currentGame.module,
+      signal: run.signal,
+      onProgress: ({ done, total, results }) => {
+        statusDiv.textContent = `Calculating... ${done}/${total} iterations`;
+        if (results) renderOptionResults(results);
+      },
+    });
+    if (currentRun !== run) return;
 
     if (results === null) {
-      resultsDiv.textContent = "Not available (Setup phase or Game Over).";
+      statusDiv.textContent = "Not available (Setup phase or Game Over).";
       return;
     }
+    statusDiv.textContent = `Search finished (seed ${results.seed}).`;
+    renderOptionResults(results);
+  } catch (err) {
+    reportFailure(run, err);
+  } finally {
+    finishRun(run);
+  }
+};
 
-    const options = Object.keys(results).sort((a, b) => {
-      // Sort by win count descending, then by option value
-      return results[b] - results[a] || parseInt(a) - parseInt(b);
+// -- Solve Handler --
+solveBtn.onclick = async () => {
+  const run = startRun();
+  statusDiv.textContent = 'Solving...';
+  try {
+    if (!currentGame) return;
+    const results = await solveAsync(engine, { maxNodes: SOLVER_MAX_NODES }, {
+      gameModule: currentGame.module,
+      signal: run.signal,
     });
+    if (currentRun !== run) return;
+
+    if (!results) {
+      statusDiv.textContent = "Game over.";
+      return;
+    }
+    statusDiv.textContent = results.solved
+      ? `Solved: ${results.nodes} positions searched in ${results.elapsedMs} ms.`
+      : 'Too large to solve.';
+    renderSolverResults(results);
+  } catch (err) {
+    reportFailure(run, err);
+  } finally {
+    finishRun(run);
+  }
+};
 
-    const header = document.createElement('div');
-    header.style.marginBottom = '10px';
-    header.style.color = '#fff';
-    header.textContent = `Win Probability for Player ${currentPlayer} by Move:`;
-    resultsDiv.appendChild(header);
-
-    options.forEach(opt => {
-      const wins = results[opt];
-      const probability = ((wins / simCount) * 100).toFixed(1);
-      const line = document.createElement('div');
-      line.textContent = `Move [${opt}] -> Win Prob: ${probability}%`;
-      resultsDiv.appendChild(line);
+// -- Review Handler --
+reviewBtn.onclick = async () => {
+  const run = startRun();
+  statusDiv.textContent = 'Reviewing...';
+  try {
+    if (!currentGame) return;
+    // A loaded record is reviewed in full: play it through once so the line exists, then come back.
+    if (recordPlayer && recordPlayer.isOnRecord()) {
+      const position = recordPlayer.position;
+      await recordPlayer.goTo(recordPlayer.record.moves.length);
+      await recordPlayer.goTo(position);
+    }
+    const evaluator = reviewEvaluator.value === 'solver' ? 'solver' : 'montecarlo';
+    const review = await reviewGame(engine, {
+      evaluator,
+      simulations: REVIEW_SIMULATIONS,
+      maxNodes: SOLVER_MAX_NODES,
+      signal: run.signal,
+      onProgress: ({ done, total }) => {
+        statusDiv.textContent = `Reviewing... ${done}/${total} moves`;
+      },
     });
-  }, 10);
+    if (currentRun !== run) return;
+
+    statusDiv.textContent = evaluator === 'solver'
+      ? `Reviewed ${review.moves.length} moves with the solver.`
+      : `Reviewed ${review.moves.length} moves, ${REVIEW_SIMULATIONS} games per option (seed ${review.seed}).`;
+    renderReview(resultsDiv, review);
+  } catch (err) {
+    reportFailure(run, err);
+  } finally {
+    finishRun(run);
+  }
 };
 
 simContainer.appendChild(winnerBtn);
 simContainer.appendChild(optionsBtn);
+simContainer.appendChild(solveBtn);
+simContainer.appendChild(reviewEvaluator);
+simContainer.appendChild(reviewBtn);
+simContainer.appendChild(cancelBtn);
+simContainer.appendChild(statusDiv);
 simContainer.appendChild(resultsDiv);
-document.body.appendChild(simContainer);
\ No newline at end of file
+document.body.appendChild(simContainer);
+
+// --- Game Record UI ---
+const recordContainer = document.createElement('div');
+recordContainer.className = 'mc-container';
+
+const exportBtn = document.createElement('button');
+exportBtn.className = 'mc-button';
+exportBtn.textContent = 'Export';
+exportBtn.style.marginRight = '10px';
+
+const loadBtn = document.createElement('button');
+loadBtn.className = 'mc-button';
+loadBtn.textContent = 'Load';
+loadBtn.style.marginRight = '10px';
+
+const backBtn = document.createElement('button');
+backBtn.className = 'mc-button';
+backBtn.textContent = '<';
+backBtn.style.marginRight = '10px';
+
+const forwardBtn = document.createElement('button');
+forwardBtn.className = 'mc-button';
+forwardBtn.textContent = '>';
+forwardBtn.style.marginRight = '10px';
+
+const copyLinkBtn = document.createElement('button');
+copyLinkBtn.className = 'mc-button';
+copyLinkBtn.textContent = 'Copy Link';
+
+const recordText = document.createElement('textarea');
+recordText.className = 'record-text';
+recordText.placeholder = 'Paste a JSON record or ttt@42:5,1,9 notation, then Load.';
+
+const recordStatus = document.createElement('div');
+recordStatus.className = 'mc-status';
+
+const updateRecordStatus = () => {
+  if (!recordPlayer) {
+    recordStatus.textContent = '';
+  } else if (!recordPlayer.isOnRecord()) {
+    recordStatus.textContent = 'Left the recorded line. Undo to return to it.';
+  } else {
+    recordStatus.textContent =
+      `Replay: move ${recordPlayer.position}/${recordPlayer.record.moves.length} (arrow keys step)`;
+  }
+};
+
+/**
+ * Ignored while a move is still being played, since the position it steps
+ * from is not known yet.
+ * @param {number} delta 1 to step forward, -1 to step back.
+ */
+const stepRecord = async (delta) => {
+  if (!recordPlayer || engine.pending) return;
+  try {
+    if (delta > 0) {
+      await recordPlayer.stepForward();
+    } else {
+      await recordPlayer.stepBack();
+    }
+  } catch (err) {
+    recordStatus.textContent = `Replay failed: ${err instanceof Error ? err.message : err}`;
+  }
+};
+
+exportBtn.onclick = () => {
+  if (!currentGame) return;
+  const record = createRecord(engine, currentGame.id);
+  recordText.value = `${recordToNotation(record)}\n\n${recordToJson(record)}`;
+  recordStatus.textContent = `Exported ${record.moves.length} moves.`;
+};
+
+loadBtn.onclick = async () => {
+  try {
+    // Accept the export above as-is: its first line is the compact notation.
+    const text = recordText.value.trim();
+    const record = parseRecord(text.startsWith('{') ? text : text.split('\n')[0]);
+    const game = getGame(record.game);
+    if (!game) {
+      throw new Error(`Unknown game "${record.game}"`);
+    }
+    // Agents would play their own moves over the record, so give every seat back to the keyboard.
+    startGame(game, { keepSeats: false });
+    recordPlayer = new RecordPlayer(engine, record, game.createStartState);
+    await recordPlayer.load();
+  } catch (err) {
+    recordStatus.textContent = `Load failed: ${err instanceof Error ? err.message : err}`;
+  }
+};
+
+backBtn.onclick = () => stepRecord(-1);
+forwardBtn.onclick = () => stepRecord(1);
+
+// The link carries the position as compact notation in the hash; opening it
+// replays the moves, so they can be undone as usual.
+copyLinkBtn.onclick = async () => {
+  copyLinkBtn.blur();
+  if (!currentGame) return;
+  const url = new URL(window.location.href);
+  url.hash = recordToNotation(createRecord(engine, currentGame.id));
+  try {
+    await navigator.clipboard.writeText(url.href);
+    recordStatus.textContent = 'Link to this position copied.';
+  } catch {
+    recordText.value = url.href;
+    recordStatus.textContent = 'Copy the link from the box above.';
+  }
+};
+
+recordContainer.appendChild(exportBtn);
+recordContainer.appendChild(loadBtn);
+recordContainer.appendChild(backBtn);
+recordContainer.appendChild(forwardBtn);
+recordContainer.appendChild(copyLinkBtn);
+recordContainer.appendChild(recordText);
+recordContainer.appendChild(recordStatus);
+document.body.appendChild(recordContainer);
+
+// --- Seats UI ---
+const seatContainer = document.createElement('div');
+seatContainer.className = 'mc-container seat-container';
+
+/** @type {Object<string, string>} */
+const AGENT_LABELS = {
+  human: 'Human (keyboard)',
+  random: 'Random',
+  montecarlo: 'Monte Carlo',
+  mcts: 'MCTS',
+};
+
+/** @type {HTMLSelectElement[]} */
+const seatSelects = [];
+/** @type {HTMLElement[]} */
+const seatRows = [];
+
+for (let player = 1; player <= MAX_SEATS; player++) {
+  const row = document.createElement('div');
+  const label = document.createElement('label');
+  label.textContent = `Player ${player}: `;
+
+  const select = document.createElement('select');
+  select.className = 'seat-select';
+  AGENT_KINDS.forEach(kind => {
+    const option = document.createElement('option');
+    option.value = kind;
+    option.textContent = AGENT_LABELS[kind];
+    select.appendChild(option);
+  });
+  select.onchange = () => {
+    engine.setAgent(player, createAgent(select.value));
+    select.blur();
+  };
+  seatSelects.push(select);
+
+  label.appendChild(select);
+  row.appendChild(label);
+  seatRows.push(row);
+  seatContainer.appendChild(row);
+}
+
+const delayRow = document.createElement('div');
+const delayLabel = document.createElement('label');
+delayLabel.textContent = 'Agent delay (ms): ';
+const delayInput = document.createElement('input');
+delayInput.className = 'seat-select';
+delayInput.type = 'number';
+delayInput.min = '0';
+delayInput.step = '100';
+delayInput.value = String(engine.agentDelayMs);
+delayInput.onchange = () => {
+  engine.agentDelayMs = Math.max(0, parseInt(delayInput.value) || 0);
+};
+delayLabel.appendChild(delayInput);
+delayRow.appendChild(delayLabel);
+seatContainer.appendChild(delayRow);
+
+function resetSeats() {
+  seatSelects.forEach((select, i) => {
+    select.value = 'human';
+    engine.setAgent(i + 1, null);
+  });
+}
+
+document.body.appendChild(seatContainer);
+
+// --- Network Play ---
+// The server (`game-eval serve`) runs the game; the page shows its log and
+// sends the moves of the seat taken here.
+const netContainer = document.createElement('div');
+netContainer.className = 'mc-container';
+
+const serverInput = document.createElement('input');
+serverInput.className = 'seat-select';
+serverInput.value = DEFAULT_SERVER;
+serverInput.title = 'Server';
+
+const roomInput = document.createElement('input');
+roomInput.className = 'seat-select';
+roomInput.value = 'lobby';
+roomInput.title = 'Room';
+roomInput.style.marginRight = '10px';
+
+const joinBtn = document.createElement('button');
+joinBtn.className = 'mc-button';
+joinBtn.textContent = 'Join';
+joinBtn.style.marginRight = '10px';
+
+const leaveBtn = document.createElement('button');
+leaveBtn.className = 'mc-button';
+leaveBtn.textContent = 'Leave';
+leaveBtn.style.marginRight = '10px';
+
+const netSeatSelect = document.createElement('select');
+netSeatSelect.className = 'seat-select';
+netSeatSelect.style.marginRight = '10px';
+
+const undoRequestBtn = document.createElement('button');
+undoRequestBtn.className = 'mc-button';
+undoRequestBtn.textContent = 'Ask to Undo';
+undoRequestBtn.style.marginRight = '10px';
+
+const undoAcceptBtn = document.createElement('button');
+undoAcceptBtn.className = 'mc-button';
+undoAcceptBtn.textContent = 'Allow Undo';
+undoAcceptBtn.style.marginRight = '10px';
+
+const undoDeclineBtn = document.createElement('button');
+undoDeclineBtn.className = 'mc-button';
+undoDeclineBtn.textContent = 'Refuse Undo';
+
+const netStatus = document.createElement('div');
+netStatus.className = 'mc-status';
+
+/**
+ * Shows the room as the server last described it.
+ */
+const updateNetworkPanel = () => {
+  const state = netSession ? netSession.state : null;
+  const online = netSession !== null;
+  joinBtn.disabled = online;
+  leaveBtn.disabled = !online;
+  netSeatSelect.disabled = !state;
+  const undo = state ? state.undo : null;
+  undoRequestBtn.disabled = !state || state.you === null || state.moves.length === 0 || undo !== null;
+  const mayAnswer = !!state && !!undo && state.you !== null && undo.waitingFor.includes(state.you);
+  undoAcceptBtn.disabled = !mayAnswer;
+  undoDeclineBtn.disabled = !mayAnswer;
+  if (!netSession) return;
+  if (!state) {
+    netStatus.textContent = netSession.message || 'Joining...';
+    return;
+  }
+
+  const seats = ['', ...Array.from({ length: state.game.maxPlayers }, (_, i) => String(i + 1))];
+  if (netSeatSelect.options.length !== seats.length) {
+    netSeatSelect.textContent = '';
+    for (const seat of seats) {
+      const option = document.createElement('option');
+      option.value = seat;
+      option.textContent = seat ? `Player ${seat}` : 'Spectator';
+      netSeatSelect.appendChild(option);
+    }
+  }
+  netSeatSelect.value = state.you === null ? '' : String(state.you);
+  for (const option of netSeatSelect.options) {
+    option.disabled = option.value !== '' && state.seats.includes(Number(option.value)) && Number(option.value) !== state.you;
+  }
+
+  const lines = [`Room ${state.room}: ${state.game.title}. You are ${state.you === null ? 'watching' : `Player ${state.you}`}.`];
+  if (state.finished) {
+    lines.push('Game over.');
+  } else if (state.you !== null && state.you === state.activePlayer) {
+    lines.push('Your move.');
+  } else {
+    lines.push(`Player ${state.activePlayer} to move${state.seats.includes(state.activePlayer) ? '' : ' (seat free)'}.`);
+  }
+  if (undo) lines.push(`Player ${undo.by} asks to undo; waiting for ${undo.waitingFor.map(p => `Player ${p}`).join(', ')}.`);
+  if (netSession.message) lines.push(netSession.message);
+  netStatus.textContent = lines.join(' ');
+};
+
+/**
+ * Leaves the network game, if there is one, without touching the page.
+ */
+function disconnect() {
+  if (!netSession) return;
+  const session = netSession;
+  netSession = null;
+  session.onChange = null;
+  session.close();
+  netStatus.textContent = '';
+  updateNetworkPanel();
+}
+
+joinBtn.onclick = async () => {
+  joinBtn.blur();
+  if (!currentGame) {
+    netStatus.textContent = 'Pick a game first: a new room plays the game picked here.';
+    return;
+  }
+  const game = currentGame;
+  netStatus.textContent = 'Connecting...';
+  /** @type {WebSocket} */
+  let socket;
+  try {
+    socket = await new Promise((resolve, reject) => {
+      const ws = new WebSocket(serverInput.value.trim());
+      ws.onopen = () => resolve(ws);
+      ws.onerror = () => reject(new Error(`Cannot reach ${serverInput.value.trim()}`));
+    });
+  } catch (err) {
+    netStatus.textContent = err instanceof Error ? err.message : String(err);
+    return;
+  }
+
+  // The server's log replaces the local game on screen.
+  if (currentRun) currentRun.abort();
+  resetSeats();
+  recordPlayer = null;
+  treeContainer.textContent = '';
+  updateRecordStatus();
+  menu.hide();
+  gameTitle.textContent = game.title;
+
+  const session = new NetSession(/** @type {any} */ (socket), engine.renderer);
+  netSession = session;
+  session.onChange = (message) => {
+    if (netSession !== session) return;
+    if (message === null) {
+      netSession = null;
+      startGame(game);
+      netStatus.textContent = 'Disconnected from the server.';
+    }
+    updateNetworkPanel();
+  };
+  session.join(roomInput.value.trim() || 'lobby', game.id);
+  updateNetworkPanel();
+};
+
+leaveBtn.onclick = () => {
+  leaveBtn.blur();
+  disconnect();
+  if (currentGame) startGame(currentGame); else showMenu();
+};
+
+netSeatSelect.onchange = () => {
+  if (netSession) {
+    if (netSeatSelect.value) netSession.claim(Number(netSeatSelect.value)); else netSession.release();
+  }
+  netSeatSelect.blur();
+};
+undoRequestBtn.onclick = () => {
+  if (netSession) netSession.requestUndo();
+  undoRequestBtn.blur();
+};
+undoAcceptBtn.onclick = () => {
+  if (netSession) netSession.answerUndo(true);
+  undoAcceptBtn.blur();
+};
+undoDeclineBtn.onclick = () => {
+  if (netSession) netSession.answerUndo(false);
+  undoDeclineBtn.blur();
+};
+
+netContainer.appendChild(serverInput);
+netContainer.appendChild(roomInput);
+netContainer.appendChild(joinBtn);
+netContainer.appendChild(leaveBtn);
+netContainer.appendChild(netSeatSelect);
+netContainer.appendChild(undoRequestBtn);
+netContainer.appendChild(undoAcceptBtn);
+netContainer.appendChild(undoDeclineBtn);
+netContainer.appendChild(netStatus);
+document.body.appendChild(netContainer);
+updateNetworkPanel();
+
+// --- Game Selection ---
+
+/**
+ * Starts a new game, replacing the current one, and puts its id in the URL.
+ * @param {RegisteredGame} game
+ * @param {{keepSeats?: boolean}} [options] Keep the agents seated when the
+ *     same game is restarted (the default).
+ */
+function startGame(game, { keepSeats = true } = {}) {
+  disconnect();
+  if (currentRun) currentRun.abort();
+  if (!keepSeats || game !== currentGame) resetSeats();
+  currentGame = game;
+  recordPlayer = null;
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('game', game.id);
+  window.history.replaceState(null, '', url);
+
+  gameTitle.textContent = game.title;
+  newGameBtn.disabled = false;
+  menu.hide();
+  seatRows.forEach((row, i) => { row.style.display = i < game.maxPlayers ? '' : 'none'; });
+  statusDiv.textContent = '';
+  resultsDiv.innerHTML = '';
+  updateRecordStatus();
+
+  // An asynchronous game may fail while it starts; report it unless another game has replaced it.
+  const start = ++gameStarts;
+  const started = engine.initGame(game.createStartState());
+  if (started) {
+    started.catch(err => {
+      if (start !== gameStarts) return;
+      console.error(err);
+      statusDiv.textContent = `The game failed to start: ${err instanceof Error ? err.message : err}`;
+    });
+  }
+}
+
+/**
+ * Shows the start screen.  The current game stays loaded until another is picked.
+ */
+function showMenu() {
+  disconnect();
+  if (currentRun) currentRun.abort();
+  // Agents must not keep playing the old game underneath the menu.
+  resetSeats();
+  recordPlayer = null;
+  treeContainer.textContent = '';
+  statusDiv.textContent = '';
+  resultsDiv.innerHTML = '';
+  updateRecordStatus();
+  newGameBtn.disabled = currentGame === null;
+  menu.show();
+}
+
+/**
+ * Starts the record's game and replays its moves as if they had just been
+ * played.
+ * @param {import('./game/record.js').GameRecord} record
+ * @param {string} message Shown once the moves are replayed.
+ */
+function restoreRecord(record, message) {
+  const game = getGame(record.game);
+  if (!game) {
+    throw new Error(`Unknown game "${record.game}"`);
+  }
+  startGame(game, { keepSeats: false });
+  replayRecord(engine, record, game.createStartState).then(
+    () => { recordStatus.textContent = message; },
+    (err) => { recordStatus.textContent = `Could not replay every move: ${err instanceof Error ? err.message : err}`; });
+}
+
+/**
+ * Opens the position in the URL hash, if there is one, and takes it out of the
+ * URL so that it does not outlive the moves played from there.
+ * @returns {boolean} Whether the hash held a position.
+ */
+function openLinkedPosition() {
+  const hash = window.location.hash.slice(1);
+  if (!hash) return false;
+  const url = new URL(window.location.href);
+  url.hash = '';
+  window.history.replaceState(null, '', url);
+  try {
+    const record = recordFromNotation(hash);
+    restoreRecord(record, `Opened the linked position after ${record.moves.length} moves.`);
+    return true;
+  } catch (err) {
+    recordStatus.textContent = `Link failed: ${err instanceof Error ? err.message : err}`;
+    return false;
+  }
+}
+
+window.addEventListener('hashchange', () => openLinkedPosition());
+autoSave(engine, () => currentGame ? currentGame.id : null, window.localStorage);
+
+const requested = getGame(new URLSearchParams(window.location.search).get('game') || '');
+const saved = loadSession(window.localStorage);
+if (openLinkedPosition()) {
+  // The link decides the game.
+} else if (saved && getGame(saved.game) && (!requested || requested.id === saved.game)) {
+  restoreRecord(saved, `Restored the last session (${saved.moves.length} moves).`);
+} else if (requested) {
+  startGame(requested);
+} else {
+  showMenu();
+}
\ No newline at end of file
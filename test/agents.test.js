@@ -0,0 +1,71 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MctsAgent, MonteCarloAgent, RandomAgent, createAgent } from '../game/agents.js';
+import { Engine, GameContext } from '../game/engine.js';
+import { StartState } from '../game/ttt-game.js';
+
+/**
+ * @param {string[]} moves
+ */
+function play(moves) {
+  const engine = new Engine();
+  engine.initGame(new StartState(), 1);
+  for (const move of moves) engine.transition(move);
+  return engine;
+}
+
+/**
+ * @param {Engine} engine
+ * @returns {[import('../game/engine.js').GameState, GameContext]}
+ */
+function turn(engine) {
+  assert.ok(engine.currentState && engine.stateHead);
+  return [engine.currentState, new GameContext(engine.stateHead, () => { })];
+}
+
+test('seated agents play a game out by themselves', async () => {
+  const engine = play([]);
+  engine.agentDelayMs = 0;
+  engine.setAgent(1, new RandomAgent({ seed: 1 }));
+  engine.setAgent(2, new RandomAgent({ seed: 2 }));
+  for (let i = 0; i < 20 && engine.currentState; i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.equal(engine.currentState, null);
+  assert.ok(engine.getMoveHistory().length >= 5);
+  assert.ok(engine.stateHead?.outcome);
+});
+
+test('seeded agents choose the same options', () => {
+  const engine = play(['5']);
+  const picks = (/** @type {number} */ seed) => {
+    const agent = new RandomAgent({ seed });
+    return Array.from({ length: 10 }, () => agent.chooseOption(...turn(engine)));
+  };
+  assert.deepEqual(picks(3), picks(3));
+  assert.deepEqual(new MctsAgent({ seed: 3, iterations: 200 }).chooseOption(...turn(engine)),
+    new MctsAgent({ seed: 3, iterations: 200 }).chooseOption(...turn(engine)));
+});
+
+test('the searching agents take a winning move', () => {
+  // X holds 1 and 2 and wins at 3.
+  const engine = play(['1', '4', '2', '5']);
+  assert.equal(new MonteCarloAgent({ seed: 1, simulations: 50 }).chooseOption(...turn(engine)), '3');
+  assert.equal(new MctsAgent({ seed: 1, iterations: 500 }).chooseOption(...turn(engine)), '3');
+});
+
+test('MctsAgent only caps iterations when no budget is given', () => {
+  assert.equal(new MctsAgent().options.iterations, 2000);
+  assert.equal(new MctsAgent({ timeLimitMs: 50 }).options.iterations, undefined);
+  assert.equal(new MctsAgent({ iterations: 10 }).options.iterations, 10);
+});
+
+test('createAgent knows every seat kind', () => {
+  assert.equal(createAgent('human'), null);
+  assert.ok(createAgent('random') instanceof RandomAgent);
+  assert.ok(createAgent('montecarlo') instanceof MonteCarloAgent);
+  assert.ok(createAgent('mcts') instanceof MctsAgent);
+  assert.throws(() => createAgent('oracle'), /Unknown agent kind: oracle/);
+});
@@ -0,0 +1,39 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MctsAgent, RandomAgent } from '../game/agents.js';
+import { runTournament } from '../game/arena.js';
+import { GAME_INFO as MODULO } from '../game/modulo-game.js';
+import { GAME_INFO as TTT } from '../game/ttt-game.js';
+
+/** @typedef {import('../game/arena.js').ArenaEntry} ArenaEntry */
+
+/** @type {ArenaEntry[]} */
+const entries = [
+  { name: 'random', createAgent: (seed) => new RandomAgent({ seed }) },
+  { name: 'mcts', createAgent: (seed) => new MctsAgent({ seed, iterations: 300 }) },
+];
+
+test('a seeded tic-tac-toe tournament replays exactly and ranks the stronger agent first', async () => {
+  const result = await runTournament({ game: TTT, entries, gamesPerPairing: 4, seed: 1 });
+  assert.equal(result.games.length, 4);
+  assert.deepEqual(result.games.map(g => g.firstSeat), [1, 2, 1, 2]);
+  assert.equal(result.standings[0].name, 'mcts');
+  assert.equal(result.standings[0].losses, 0);
+  assert.equal(result.pairings[0].games, 4);
+
+  const again = await runTournament({ game: TTT, entries, gamesPerPairing: 4, seed: 1 });
+  assert.deepEqual(again.games, result.games);
+  assert.deepEqual(again.standings, result.standings);
+});
+
+test('the game\'s own setup moves are played before the seats take over', async () => {
+  const result = await runTournament({ game: MODULO, entries, gamesPerPairing: 2, seed: 1 });
+  for (const game of result.games) assert.equal(game.moves[0], '2');
+});
+
+test('entries need distinct names', async () => {
+  await assert.rejects(runTournament({ game: TTT, entries: [entries[0], entries[0]], gamesPerPairing: 2 }),
+    /Two entries are named random/);
+});
@@ -0,0 +1,170 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, runOptionMonteCarlo } from '../game/engine.js';
+import { playAgentGame } from '../game/arena.js';
+import { playScript } from '../game/harness.js';
+import { RecordPlayer } from '../game/record.js';
+import { TextRenderer } from '../game/renderer.js';
+import { StartState as TttStart } from '../game/ttt-game.js';
+
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+// Three picks of 'a' or 'b', each taking a moment, as if waiting for an animation.
+class Start {
+  getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.set('picks', []);
+    context.setActivePlayer(1);
+    return new Pick();
+  }
+}
+
+class Pick {
+  getOptions() { return Promise.resolve(['a', 'b', 'fail']); }
+  /** @param {string} input @param {GameContext} context */
+  async processOption(input, context) {
+    context.log(`thinking about ${input}`);
+    await tick();
+    if (input === 'fail') throw new Error('asset failed to load');
+    const picks = [...context.get('picks'), input];
+    context.set('picks', picks);
+    context.setActivePlayer(1);
+    return picks.length === 3 ? new End() : new Pick();
+  }
+}
+
+class End {
+  async getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.setWinner(1);
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<Engine>}
+ */
+async function startEngine() {
+  const engine = new Engine(new TextRenderer());
+  await engine.initGame(new Start(), 1);
+  return engine;
+}
+
+test('synchronous games stay synchronous', () => {
+  const engine = new Engine();
+  assert.equal(engine.initGame(new TttStart(), 1), undefined);
+  assert.equal(engine.transition('5'), undefined);
+  assert.equal(engine.recursiveUndo(), undefined);
+  assert.equal(engine.pending, false);
+});
+
+test('waits for asynchronous options and transitions', async () => {
+  const engine = await startEngine();
+  const move = engine.transition('a');
+  assert.ok(move instanceof Promise);
+  assert.equal(engine.pending, true);
+  await move;
+  assert.equal(engine.pending, false);
+  assert.deepEqual(engine.getMoveHistory(), ['a']);
+  assert.deepEqual(engine.stateHead?.get('picks'), ['a']);
+});
+
+test('runs transitions one at a time, in order', async () => {
+  const engine = await startEngine();
+  engine.transition('a');
+  engine.transition('b');
+  await engine.transition('a');
+  assert.deepEqual(engine.stateHead?.get('picks'), ['a', 'b', 'a']);
+  assert.equal(engine.currentState, null);
+  assert.deepEqual(engine.stateHead?.outcome?.winners, [1]);
+});
+
+test('ignores typing while a transition is pending', async () => {
+  const engine = await startEngine();
+  engine.transition('a');
+  engine.handleGlobalKeydown('b');
+  await engine.whenIdle();
+  assert.deepEqual(engine.getMoveHistory(), ['a']);
+  engine.handleGlobalKeydown('b');
+  await engine.whenIdle();
+  assert.deepEqual(engine.getMoveHistory(), ['a', 'b']);
+});
+
+test('Backspace during a transition takes it back once it is done', async () => {
+  const engine = await startEngine();
+  await engine.transition('a');
+  engine.transition('b');
+  engine.handleGlobalKeydown('Backspace');
+  await engine.whenIdle();
+  assert.deepEqual(engine.getMoveHistory(), ['a']);
+  assert.deepEqual(engine.stateHead?.get('picks'), ['a']);
+
+  // The undone move is kept for redo.
+  await engine.redo();
+  assert.deepEqual(engine.getMoveHistory(), ['a', 'b']);
+});
+
+test('a failed transition leaves the position as it was', async () => {
+  const engine = await startEngine();
+  const renderer = /** @type {TextRenderer} */ (engine.renderer);
+  const before = renderer.getText();
+  await assert.rejects(async () => engine.transition('fail'), /asset failed to load/);
+  assert.deepEqual(engine.getMoveHistory(), []);
+  assert.equal(renderer.getText(), before);
+  await engine.transition('a');
+  assert.deepEqual(engine.getMoveHistory(), ['a']);
+});
+
+test('a new game abandons a pending transition', async () => {
+  const engine = await startEngine();
+  const move = engine.transition('a');
+  await engine.initGame(new Start(), 2);
+  await assert.rejects(async () => move, /new game was started/);
+  assert.deepEqual(engine.getMoveHistory(), []);
+  assert.equal(engine.pending, false);
+});
+
+test('tools wait for asynchronous states: records, agent games and scripts', async (t) => {
+  const engine = await startEngine();
+  const record = { format: 'game-eval-record', version: 1, game: 'picks', seed: 1, moves: ['a', 'b', 'a'], metadata: {} };
+  const player = new RecordPlayer(engine, record, () => /** @type {any} */ (new Start()));
+  await player.load();
+  await player.goTo(2);
+  assert.deepEqual(engine.stateHead?.get('picks'), ['a', 'b']);
+  await player.goTo(1);
+  assert.deepEqual(engine.getMoveHistory(), ['a']);
+
+  const picker = { name: 'Picker', chooseOption: () => 'b' };
+  const game = await playAgentGame(/** @type {any} */ ({ createStartState: () => new Start() }), new Map([[1, picker]]), 1, ['a'], 10);
+  assert.deepEqual(game.moves, ['a', 'b', 'b']);
+  assert.deepEqual(game.outcome?.winners, [1]);
+
+  assert.throws(() => playScript(/** @type {any} */ (Start), ['a']), /playScript needs synchronous states/);
+
+  // An agent whose move fails is reported, not left as an unhandled rejection.
+  const error = t.mock.method(console, 'error', () => { });
+  engine.agentDelayMs = 0;
+  engine.setAgent(1, {
+    name: 'Failer',
+    chooseOption: () => {
+      engine.setAgent(1, null);
+      return 'fail';
+    },
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await engine.whenIdle();
+  assert.equal(error.mock.callCount(), 1);
+  assert.match(String(error.mock.calls[0].arguments[0]), /asset failed to load/);
+});
+
+test('simulations refuse asynchronous states instead of misreading them', async () => {
+  const engine = await startEngine();
+  assert.throws(() => runOptionMonteCarlo(engine, 5), /Simulations need synchronous states/);
+  assert.throws(() => runOptionMonteCarlo(engine, 5, { only: ['a'] }), /Simulations need synchronous states/);
+});
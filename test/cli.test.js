@@ -0,0 +1,64 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { runCli } from '../game/cli.js';
+
+/**
+ * Runs the command with `input` on stdin.
+ * @param {string[]} args
+ * @param {string[]} [input] Lines typed by the player.
+ */
+async function run(args, input = []) {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(args, {
+    stdin: Readable.from(input.map(text => text + '\n')),
+    stdout: { write: (/** @type {string} */ text) => { stdout += text; } },
+    stderr: { write: (/** @type {string} */ text) => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+}
+
+test('simulate and options repeat with a seed', async () => {
+  const first = await run(['simulate', 'ttt', '--moves', '5,1', '--n', '200', '--seed', '7', '--json']);
+  assert.equal(first.code, 0);
+  const result = JSON.parse(first.stdout);
+  assert.deepEqual(result.moves, ['5', '1']);
+  assert.equal(result.stats.games, 200);
+  assert.equal(result.stats.seed, 7);
+  assert.equal((await run(['simulate', 'ttt', '--moves', '5,1', '--n', '200', '--seed', '7', '--json'])).stdout,
+    first.stdout);
+
+  const options = await run(['options', 'ttt', '--moves', '5', '--n', '20', '--seed', '7']);
+  assert.equal(options.code, 0);
+  assert.match(options.stdout, /^Tic-Tac-Toe after 5: player 2 to move, 20 random games per option, seed 7\n/);
+  assert.match(options.stdout, /Option\s+Wins\s+Draws\s+Expected score/);
+});
+
+test('--players plays the game\'s setup moves', async () => {
+  const { code, stdout } = await run(['simulate', 'modulo', '--players', '3', '--n', '10', '--seed', '1', '--json']);
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout).moves, ['3']);
+  const tooMany = await run(['simulate', 'ttt', '--players', '3']);
+  assert.equal(tooMany.code, 1);
+  assert.match(tooMany.stderr, /Tic-Tac-Toe is for 2-2 players/);
+});
+
+test('play reads moves and commands from stdin', async () => {
+  const { code, stdout } = await run(['play', 'ttt', '--seed', '1'], ['5', '1', ':undo', ':moves', '9', ':moves', ':q']);
+  assert.equal(code, 0);
+  assert.match(stdout, /-- undone --/);
+  // Each answer follows the prompt on the same line.
+  const moves = stdout.split('\n').map(text => /> ((\d,)*\d)$/.exec(text)).filter(match => match);
+  assert.deepEqual(moves.map(match => match?.[1]), ['5', '5,9']);
+});
+
+test('mistakes are reported with exit code 1', async () => {
+  assert.match((await run(['simulate', 'chess'])).stderr, /Unknown game: chess \(registered: modulo, ttt\)/);
+  assert.match((await run(['simulate', 'ttt', '--moves', '5,5'])).stderr, /Move 2 \(5\) is not an option here/);
+  assert.match((await run(['simulate', 'ttt', '--n', '0'])).stderr, /--n must be a whole number of at least 1/);
+  assert.match((await run(['fly', 'ttt'])).stderr, /Unknown command: fly/);
+  assert.equal((await run([])).code, 1);
+});
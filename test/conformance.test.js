@@ -0,0 +1,100 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkConformance } from '../game/conformance.js';
+import { playScript } from '../game/harness.js';
+import { GAME_INFO as MODULO } from '../game/modulo-game.js';
+import { GAME_INFO as TTT } from '../game/ttt-game.js';
+
+/** @typedef {import('../game/engine.js').GameState} GameState */
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+
+/**
+ * @param {import('../game/conformance.js').ConformanceReport} report
+ * @returns {string[]}
+ */
+function kinds(report) {
+  return report.violations.map(violation => violation.kind);
+}
+
+test('tic-tac-toe conforms', () => {
+  assert.deepEqual(checkConformance(TTT.createStartState, { games: 500, seed: 1 }).violations, []);
+});
+
+test('modulo only warns that "1" needs Enter', () => {
+  const report = checkConformance(MODULO.createStartState, { games: 200, seed: 1 });
+  assert.deepEqual(kinds(report), ['ambiguous-option']);
+  assert.equal(report.violations[0].severity, 'warning');
+  assert.match(report.violations[0].message, /"1" is a prefix of "10"/);
+});
+
+test('finds duplicate options', () => {
+  const report = checkConformance(() => ({ getOptions: () => ['a', 'a'], processOption: () => null }), { games: 5 });
+  assert.deepEqual(kinds(report), ['duplicate-option']);
+  assert.equal(report.violations[0].count, 5);
+});
+
+test('finds games that never end', () => {
+  /** @type {GameState} */
+  const loop = { getOptions: () => [], processOption: () => loop };
+  const report = checkConformance(() => loop, { games: 2, maxSteps: 50 });
+  assert.deepEqual(kinds(report), ['non-terminating']);
+});
+
+test('finds games that end without a result', () => {
+  const report = checkConformance(() => ({ getOptions: () => ['x', 'y'], processOption: () => null }), { games: 10 });
+  assert.deepEqual(kinds(report), ['missing-result']);
+});
+
+test('finds options that change between calls', () => {
+  let calls = 0;
+  const report = checkConformance(() => ({
+    getOptions: () => (calls++ % 2 ? ['b', 'a'] : ['a', 'b']),
+    processOption: () => null,
+  }), { games: 3 });
+  assert.deepEqual(kinds(report), ['nondeterministic-options']);
+});
+
+test('finds values changed in place and replays the moves to them', () => {
+  /** @type {GameState} */
+  const play = {
+    getOptions: () => ['1', '2'],
+    processOption(input, context) {
+      context.get('list').push(input);
+      context.setWinner(1);
+      return null;
+    },
+  };
+  /** @type {() => GameState} */
+  const start = () => ({
+    getOptions: () => [],
+    processOption(input, context) {
+      context.set('list', []);
+      context.setActivePlayer(1);
+      return play;
+    },
+  });
+  const report = checkConformance(start, { games: 20, seed: 3 });
+  assert.deepEqual(kinds(report).sort(), ['parent-mutation', 'parent-mutation']);
+
+  const [violation] = report.violations;
+  assert.equal(violation.moves.length, 1);
+  const replay = playScript(start, violation.moves, { seed: violation.seed });
+  assert.deepEqual(replay.kvs.list, violation.moves);
+});
+
+test('reports exceptions with the state that threw', () => {
+  class Fragile {
+    getOptions() { return ['ok', 'boom']; }
+    /** @param {string} input */
+    processOption(input) {
+      if (input === 'boom') throw new Error('no such move');
+      return null;
+    }
+  }
+  const report = checkConformance(() => new Fragile(), { games: 20, seed: 1 });
+  const exception = report.violations.find(violation => violation.kind === 'exception');
+  assert.equal(exception?.message, 'Fragile.processOption("boom") threw: no such move');
+  assert.deepEqual(exception?.moves, ['boom']);
+});
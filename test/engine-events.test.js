@@ -0,0 +1,88 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { StartState } from '../game/ttt-game.js';
+import { StartState as ModuloStart } from '../game/modulo-game.js';
+
+/**
+ * Records every event of `engine` as "type:detail".
+ * @param {Engine} engine
+ * @returns {string[]}
+ */
+function record(engine) {
+  /** @type {string[]} */
+  const events = [];
+  engine.subscribe('newGame', ({ seed }) => events.push(`newGame:${seed}`));
+  engine.subscribe('transition', ({ input }) => events.push(`transition:${input}`));
+  engine.subscribe('autoTransition', ({ input }) => events.push(`autoTransition:${input}`));
+  engine.subscribe('undo', ({ node }) => events.push(`undo:${node.input}`));
+  engine.subscribe('activePlayerChanged', ({ player, previous }) => events.push(`player:${previous}->${player}`));
+  engine.subscribe('gameOver', ({ outcome }) => events.push(`gameOver:${outcome ? outcome.winners : null}`));
+  return events;
+}
+
+test('reports the start, moves and the change of player', () => {
+  const engine = new Engine();
+  const events = record(engine);
+  engine.initGame(new StartState(), 7);
+  engine.transition('5');
+  assert.deepEqual(events, ['newGame:7', 'autoTransition:null', 'player:-1->1', 'transition:5', 'player:1->2']);
+});
+
+test('logs come before the move that printed them', () => {
+  const engine = new Engine();
+  /** @type {string[]} */
+  const events = [];
+  engine.subscribe('log', ({ output }) => { if (typeof output === 'string') events.push(output); });
+  engine.subscribe('transition', ({ input }) => events.push(`transition:${input}`));
+  engine.initGame(new StartState(), 1);
+  events.length = 0;
+  engine.transition('5');
+  assert.equal(events[0], '> Player 1 chose 5');
+  assert.equal(events[events.length - 1], 'transition:5');
+});
+
+test('reports the end of the game once, and again after an undo', () => {
+  const engine = new Engine();
+  engine.initGame(new ModuloStart(), 1);
+  const events = record(engine);
+  for (const move of ['2', '3', '4']) engine.transition(move);
+  assert.deepEqual(events, [
+    'transition:2', 'player:-1->1',
+    'transition:3', 'player:1->2',
+    'transition:4', 'autoTransition:null', 'player:2->-1', 'gameOver:2',
+  ]);
+
+  events.length = 0;
+  engine.recursiveUndo();
+  engine.redo();
+  assert.deepEqual(events, [
+    'undo:null', 'undo:4', 'player:-1->2',
+    'transition:4', 'autoTransition:null', 'player:2->-1', 'gameOver:2',
+  ]);
+});
+
+test('unsubscribed listeners are not called', () => {
+  const engine = new Engine();
+  let calls = 0;
+  const unsubscribe = engine.subscribe('transition', () => calls++);
+  engine.initGame(new StartState(), 1);
+  engine.transition('1');
+  unsubscribe();
+  engine.transition('2');
+  assert.equal(calls, 1);
+});
+
+test('a failing listener does not stop the engine or other listeners', (t) => {
+  t.mock.method(console, 'error', () => { });
+  const engine = new Engine();
+  let calls = 0;
+  engine.subscribe('transition', () => { throw new Error('broken plugin'); });
+  engine.subscribe('transition', () => calls++);
+  engine.initGame(new StartState(), 1);
+  engine.transition('1');
+  assert.equal(calls, 1);
+  assert.deepEqual(engine.getMoveHistory(), ['1']);
+});
@@ -0,0 +1,244 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameServer } from '../game/game-server.js';
+import { NetSession } from '../game/net-session.js';
+import { registerGame } from '../game/registry.js';
+import { TextRenderer } from '../game/renderer.js';
+import { connectWebSocket } from '../game/websocket.js';
+
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+/** @typedef {import('../game/game-server.js').ServerMessage} ServerMessage */
+
+// Each player is dealt a secret number, then player 1 guesses player 2's.
+class Deal {
+  getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.log('Cards are dealt.');
+    context.log('You hold 3.', [1]);
+    context.log('You hold 8.', [2]);
+    context.setActivePlayer(1);
+    return new Guess();
+  }
+}
+
+class Guess {
+  getOptions() { return ['3', '8']; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.log(`Player 1 guessed ${input}.`);
+    if (input === '8') context.setWinner(1); else context.setWinner(2);
+    return null;
+  }
+}
+
+registerGame({
+  id: 'secret-test',
+  title: 'Secret',
+  description: 'Guess the other hand.',
+  minPlayers: 2,
+  maxPlayers: 2,
+  createStartState: () => new Deal(),
+}, import.meta.url);
+
+// The same deal, made asynchronously as if shuffling took a while; a broken
+// dealer fails, so the game cannot start.
+class SlowDeal {
+  /** @param {boolean} broken */
+  constructor(broken) { this.broken = broken; }
+  getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  async processOption(input, context) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    if (this.broken) throw new Error('The dealer dropped the cards');
+    return new Deal().processOption(input, context);
+  }
+}
+
+registerGame({
+  id: 'slow-secret-test',
+  title: 'Slow Secret',
+  description: 'Guess the other hand, after a shuffle.',
+  minPlayers: 2,
+  maxPlayers: 2,
+  createStartState: () => /** @type {any} */ (new SlowDeal(false)),
+}, import.meta.url);
+
+registerGame({
+  id: 'broken-test',
+  title: 'Broken',
+  description: 'Never gets dealt.',
+  minPlayers: 2,
+  maxPlayers: 2,
+  createStartState: () => /** @type {any} */ (new SlowDeal(true)),
+}, import.meta.url);
+
+/**
+ * @param {number} port
+ */
+async function connect(port) {
+  const renderer = new TextRenderer();
+  const session = new NetSession(await connectWebSocket(`ws://localhost:${port}`), renderer);
+  return { session, renderer };
+}
+
+/**
+ * Resolves with the first message from the server that passes `check`.
+ * @param {NetSession} session
+ * @param {(message: ServerMessage) => boolean} check
+ * @returns {Promise<ServerMessage>}
+ */
+function waitFor(session, check) {
+  return new Promise((resolve, reject) => {
+    session.onChange = (message) => {
+      if (message === null) reject(new Error('Connection closed'));
+      else if (check(message)) resolve(message);
+    };
+  });
+}
+
+/**
+ * @param {NetSession} session
+ * @param {(state: import('../game/game-server.js').RoomState) => boolean} [check]
+ */
+const nextState = (session, check = () => true) =>
+  waitFor(session, message => message.type === 'state' && check(message));
+
+/**
+ * @param {NetSession} session
+ */
+const nextError = (session) => waitFor(session, message => message.type === 'error');
+
+/**
+ * @param {TextRenderer} renderer
+ */
+const transcript = (renderer) => renderer.lines.map(line => line.text);
+
+/**
+ * Starts a server with two seated players in a tic-tac-toe room.
+ * @param {import('node:test').TestContext} t
+ * @param {string} [game]
+ */
+async function setUp(t, game = 'ttt') {
+  const server = new GameServer();
+  const port = await server.listen(0);
+  t.after(() => server.close());
+  const one = await connect(port);
+  const two = await connect(port);
+  t.after(() => { one.session.close(); two.session.close(); });
+
+  let joined = nextState(one.session);
+  one.session.join('room', game, 1);
+  await joined;
+  joined = nextState(two.session);
+  two.session.join('room');
+  await joined;
+
+  let seated = nextState(one.session, state => state.you === 1);
+  one.session.claim(1);
+  await seated;
+  seated = nextState(two.session, state => state.you === 2);
+  two.session.claim(2);
+  await seated;
+  return { server, port, one, two };
+}
+
+test('players can only move on their own turn', async (t) => {
+  const { one, two } = await setUp(t);
+  assert.equal(two.session.myTurn, false);
+
+  const error = nextError(two.session);
+  two.session.move('5');
+  assert.match(/** @type {any} */ (await error).message, /not your turn/);
+
+  const moved = nextState(two.session, state => state.moves.length === 1);
+  one.session.move('5');
+  const state = /** @type {any} */ (await moved);
+  assert.deepEqual(state.moves, ['5']);
+  assert.equal(state.activePlayer, 2);
+  assert.equal(two.session.myTurn, true);
+  assert.ok(transcript(two.renderer).includes('> Player 1 chose 5'));
+
+  const illegal = nextError(two.session);
+  two.session.move('5');
+  assert.match(/** @type {any} */ (await illegal).message, /Not an option/);
+});
+
+test('seats are exclusive and joining needs a known game', async (t) => {
+  const { one, port } = await setUp(t);
+  const error = nextError(one.session);
+  one.session.claim(2);
+  assert.match(/** @type {any} */ (await error).message, /Seat 2 is taken/);
+
+  const other = await connect(port);
+  t.after(() => other.session.close());
+  const unknown = nextError(other.session);
+  other.session.join('elsewhere', 'chess');
+  assert.match(/** @type {any} */ (await unknown).message, /Unknown game: chess/);
+});
+
+test('an undo needs the agreement of every seated player', async (t) => {
+  const { one, two } = await setUp(t);
+  let moved = nextState(two.session, state => state.moves.length === 1);
+  one.session.move('5');
+  await moved;
+
+  let asked = nextState(two.session, state => state.undo !== null);
+  one.session.requestUndo();
+  assert.deepEqual(/** @type {any} */ (await asked).undo, { by: 1, waitingFor: [2] });
+
+  const declined = waitFor(one.session, message => message.type === 'notice');
+  two.session.answerUndo(false);
+  assert.match(/** @type {any} */ (await declined).message, /Player 2 declined/);
+  assert.deepEqual(/** @type {any} */ (one.session.state).moves, ['5']);
+
+  asked = nextState(two.session, state => state.undo !== null);
+  one.session.requestUndo();
+  await asked;
+  const undone = nextState(one.session, state => state.moves.length === 0);
+  two.session.answerUndo(true);
+  await undone;
+  assert.equal(one.session.myTurn, true);
+  assert.ok(!transcript(one.renderer).includes('> Player 1 chose 5'));
+  assert.ok(transcript(one.renderer).includes('Game Started.'));
+});
+
+test('players and spectators only receive the lines they may read', async (t) => {
+  const { one, two, port } = await setUp(t, 'secret-test');
+  const watcher = await connect(port);
+  t.after(() => watcher.session.close());
+  const joined = nextState(watcher.session);
+  watcher.session.join('room');
+  await joined;
+
+  assert.deepEqual(transcript(one.renderer), ['Cards are dealt.', 'You hold 3.']);
+  assert.deepEqual(transcript(two.renderer), ['Cards are dealt.', 'You hold 8.']);
+  assert.deepEqual(transcript(watcher.renderer), ['Cards are dealt.']);
+
+  const over = nextState(watcher.session, state => state.finished);
+  one.session.move('8');
+  assert.deepEqual(/** @type {any} */ (await over).outcome.winners, [1]);
+  assert.deepEqual(transcript(watcher.renderer), ['Cards are dealt.', 'Player 1 guessed 8.']);
+});
+
+test('asynchronous games start before anyone joins, and a failed start is reported', async (t) => {
+  const { one, port } = await setUp(t, 'slow-secret-test');
+  assert.deepEqual(transcript(one.renderer), ['Cards are dealt.', 'You hold 3.']);
+  assert.deepEqual(/** @type {any} */ (one.session.state).options, ['3', '8']);
+
+  const other = await connect(port);
+  t.after(() => other.session.close());
+  let error = nextError(other.session);
+  other.session.join('broken', 'broken-test');
+  assert.match(/** @type {any} */ (await error).message, /The dealer dropped the cards/);
+
+  // No room was left behind, and the server goes on serving the others.
+  error = nextError(other.session);
+  other.session.join('broken');
+  assert.match(/** @type {any} */ (await error).message, /Room broken does not exist yet/);
+  const joined = nextState(other.session);
+  other.session.join('room');
+  assert.deepEqual(/** @type {any} */ (await joined).seats, [1, 2]);
+});
@@ -0,0 +1,39 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertDraw, assertOptions, assertValue, assertWinner, playScript } from '../game/harness.js';
+import { StartState } from '../game/ttt-game.js';
+
+test('the transcript has one entry per printed line', () => {
+  const result = playScript(StartState, ['5']);
+  assert.deepEqual(result.transcript.slice(-5), [
+    '> Player 1 chose 5',
+    '. . .',
+    '. X .',
+    '. . .',
+    'Player 2 (O), choose a position (1-9):',
+  ]);
+});
+
+test('the same script gives the same result', () => {
+  const a = playScript(StartState, ['1', '5', '9']);
+  const b = playScript(StartState, ['1', '5', '9']);
+  assert.deepEqual(a.transcript, b.transcript);
+  assert.deepEqual(a.kvs, b.kvs);
+});
+
+test('the engine can go on from where the script stopped', () => {
+  const result = playScript(StartState, ['1', '5']);
+  result.engine.transition('9');
+  assert.equal(result.engine.getActivePlayer(), 2);
+  assert.deepEqual(result.engine.getMoveHistory(), ['1', '5', '9']);
+});
+
+test('assertions describe what they found', () => {
+  const result = playScript(StartState, ['1', '5']);
+  assert.throws(() => assertWinner(result, 1), /the game is not over/);
+  assert.throws(() => assertDraw(result), /a game in progress/);
+  assert.throws(() => assertOptions(result, ['2']), /Expected options \["2"\], got \["2","3","4","6","7","8","9"\]/);
+  assert.throws(() => assertValue(result, 'board', []), /Expected board to be \[\]/);
+});
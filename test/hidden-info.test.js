@@ -0,0 +1,120 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MonteCarloAgent } from '../game/agents.js';
+import { Engine, GameContext, StateNode, determinize, getChanceOutcomes, sampleChance } from '../game/engine.js';
+import { Random } from '../game/random.js';
+import { TextRenderer } from '../game/renderer.js';
+
+// Player 2 is dealt a card, 'high' three times out of four, and player 1
+// guesses it.
+class Deal {
+  /** @param {boolean} [fair] Give the guess a determinize hook. */
+  constructor(fair = false) {
+    this.fair = fair;
+  }
+  getOptions() { return []; }
+  getChanceOutcomes() {
+    return [{ option: 'high', weight: 3 }, { option: 'low', weight: 1 }];
+  }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.set('card', input, [2]);
+    context.log(`You drew ${input}.`, [2]);
+    context.log('Player 2 drew a card.');
+    context.setActivePlayer(1);
+    return this.fair ? new FairGuess() : new Guess();
+  }
+}
+
+class Guess {
+  getOptions() { return ['high', 'low']; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.setWinner(input === context.get('card') ? 1 : 2);
+    return null;
+  }
+}
+
+class FairGuess extends Guess {
+  /** @param {GameContext} context @param {number} player */
+  determinize(context, player) {
+    context.set('card', context.random() < 0.75 ? 'high' : 'low', [2]);
+  }
+}
+
+/**
+ * @param {boolean} [fair]
+ */
+function deal(fair) {
+  const engine = new Engine(new TextRenderer());
+  engine.initGame(new Deal(fair), 3);
+  return engine;
+}
+
+test('chance outcomes are drawn by weight', () => {
+  const state = new Deal();
+  const outcomes = getChanceOutcomes(state, new GameContext(new StateNode(null, state), () => { }));
+  assert.ok(outcomes);
+  const rng = new Random(1);
+  let high = 0;
+  for (let i = 0; i < 4000; i++) {
+    if (sampleChance(outcomes, rng) === 'high') high++;
+  }
+  assert.ok(Math.abs(high / 4000 - 0.75) < 0.03, `${high} of 4000 high`);
+
+  // The engine draws chance nodes itself; players only see the guess.
+  const engine = deal();
+  assert.equal(engine.getActivePlayer(), 1);
+  assert.equal(engine.getMoveHistory().length, 0);
+  assert.ok(['high', 'low'].includes(engine.stateHead?.get('card')));
+});
+
+test('values set with visibleTo are hidden from other players', () => {
+  const engine = deal();
+  const head = /** @type {StateNode} */ (engine.stateHead);
+  const card = head.get('card');
+  const context = new GameContext(head, () => { });
+  assert.equal(context.forPlayer(1).get('card'), undefined);
+  assert.equal(context.forPlayer(2).get('card'), card);
+  assert.equal(head.isVisible('card', 1), false);
+  assert.equal(head.isVisible('card', -1), true);
+  assert.equal(head.hasHiddenFrom(1), true);
+  assert.equal(head.hasHiddenFrom(2), false);
+});
+
+test('setViewer hides the lines logged for other players', () => {
+  const engine = deal();
+  const renderer = /** @type {TextRenderer} */ (engine.renderer);
+  const card = engine.stateHead?.get('card');
+  assert.match(renderer.getText(), new RegExp(`You drew ${card}`));
+
+  engine.setViewer(1);
+  assert.doesNotMatch(renderer.getText(), /You drew/);
+  assert.match(renderer.getText(), /Player 2 drew a card/);
+
+  engine.setViewer(2);
+  assert.match(renderer.getText(), new RegExp(`You drew ${card}`));
+});
+
+test('searching a hidden position needs a determinize hook', () => {
+  const unfair = deal();
+  const position = { currentState: unfair.currentState, stateHead: unfair.stateHead };
+  assert.equal(determinize(position, 2, new Random(1)), position);
+  assert.throws(() => determinize(position, 1, new Random(1)), /Guess hides values from player 1 but has no determinize hook/);
+  const head = /** @type {StateNode} */ (unfair.stateHead);
+  const context = new GameContext(head, () => { }).forPlayer(1);
+  assert.throws(() => new MonteCarloAgent({ seed: 1 }).chooseOption(/** @type {any} */ (unfair.currentState), context),
+    /no determinize hook/);
+
+  const fair = deal(true);
+  const real = { currentState: fair.currentState, stateHead: fair.stateHead };
+  const copy = determinize(real, 1, new Random(1));
+  assert.notEqual(copy.stateHead, real.stateHead);
+  assert.equal(copy.stateHead?.parent, real.stateHead);
+  const fairHead = /** @type {StateNode} */ (fair.stateHead);
+  const choice = new MonteCarloAgent({ seed: 1, simulations: 50 })
+    .chooseOption(/** @type {any} */ (fair.currentState), new GameContext(fairHead, () => { }).forPlayer(1));
+  assert.equal(choice, 'high');
+});
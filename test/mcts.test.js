@@ -0,0 +1,35 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { runMcts } from '../game/mcts.js';
+import { StartState } from '../game/ttt-game.js';
+
+/**
+ * @param {string[]} moves
+ */
+function position(moves) {
+  const engine = new Engine();
+  engine.initGame(new StartState());
+  for (const move of moves) engine.transition(move);
+  return engine;
+}
+
+test('finds the winning move and reports every option', () => {
+  // X holds 1 and 2 and wins at 3; anything else lets O complete 4-5-6.
+  const result = runMcts(position(['1', '4', '2', '5']), { iterations: 2000 });
+  assert.ok(result);
+  assert.equal(result.player, 1);
+  assert.equal(result.iterations, 2000);
+  assert.equal(result.bestOption, '3');
+  assert.equal(result.principalVariation[0], '3');
+  assert.equal(result.options['3'].value, 1);
+  assert.deepEqual(Object.keys(result.options).sort(), ['3', '6', '7', '8', '9']);
+  const visits = Object.values(result.options).reduce((sum, o) => sum + o.visits, 0);
+  assert.equal(visits, 2000);
+});
+
+test('returns null once the game is over', () => {
+  assert.equal(runMcts(position(['1', '4', '2', '5', '3'])), null);
+});
@@ -0,0 +1,37 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertNotFinished, assertOptions, assertPrinted, assertValue, assertWinner, playScript } from '../game/harness.js';
+import { GAME_INFO, StartState } from '../game/modulo-game.js';
+
+test('asks for the number of players first', () => {
+  const result = playScript(StartState, []);
+  assertOptions(result, ['1', '2', '3', '4', '5', '6', '7', '8', '9']);
+  assertPrinted(result, 'How many players? (1-9)');
+});
+
+test('keeps a running sum', () => {
+  const result = playScript(GAME_INFO.createStartState, ['3', '4', '7']);
+  assertNotFinished(result);
+  assertValue(result, 'player_count', 3);
+  assertValue(result, 'current_sum', 11);
+  assert.equal(result.activePlayer, 3);
+  assert.deepEqual(result.activePlayers, [-1, 1, 2]);
+});
+
+for (let players = 1; players <= 9; players++) {
+  for (let winner = 1; winner <= players; winner++) {
+    test(`${players} players: player ${winner} wins with sum % ${players} = ${winner - 1}`, () => {
+      // Everyone plays 1 but the last player, who plays the winner's number:
+      // (players - 1 + winner) % players = winner - 1.
+      const turns = [...Array(players - 1).fill('1'), String(winner)];
+      const result = playScript(StartState, [String(players), ...turns]);
+      const sum = players - 1 + winner;
+      assertValue(result, 'current_sum', sum);
+      assertWinner(result, winner);
+      assertPrinted(result, `Calculation: ${sum} % ${players} = ${winner - 1}`);
+      assert.deepEqual(result.activePlayers.slice(1), turns.map((_, i) => i + 1));
+    });
+  }
+}
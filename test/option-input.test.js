@@ -0,0 +1,59 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OptionInput } from '../game/option-input.js';
+
+const NUMBERS = ['1', '2', '10', '11'];
+
+/**
+ * Types `keys` and returns the options committed along the way.
+ * @param {OptionInput} input
+ * @param {string[]} keys
+ * @param {string[]} options
+ */
+function type(input, keys, options) {
+  return keys.map(key => input.handleKey(key, options).commit).filter(commit => commit !== null);
+}
+
+test('an option is picked once it is the only match', () => {
+  const input = new OptionInput();
+  assert.deepEqual(type(input, ['2'], NUMBERS), ['2']);
+  assert.deepEqual(type(input, ['1', '0'], NUMBERS), ['10']);
+  assert.equal(input.buffer, '');
+  // Keys that match nothing are swallowed.
+  assert.deepEqual(type(input, ['x'], NUMBERS), []);
+  assert.equal(input.buffer, '');
+});
+
+test('an option that prefixes others needs Enter', () => {
+  const input = new OptionInput();
+  assert.deepEqual(type(input, ['1'], NUMBERS), []);
+  assert.deepEqual(input.matches(NUMBERS), ['1', '10', '11']);
+  assert.deepEqual(type(input, ['Enter'], NUMBERS), ['1']);
+  assert.deepEqual(type(input, ['Enter'], NUMBERS), []);
+});
+
+test('Tab completes the common prefix, then cycles', () => {
+  const options = ['north', 'northeast', 'northwest', 'south'];
+  const input = new OptionInput();
+  type(input, ['n', 'Tab'], options);
+  assert.equal(input.buffer, 'north');
+  type(input, ['Tab'], options);
+  assert.equal(input.buffer, 'northeast');
+  assert.deepEqual(input.matches(options), ['north', 'northeast', 'northwest']);
+  type(input, ['Tab', 'Tab'], options);
+  assert.equal(input.buffer, 'north');
+  type(input, ['ArrowUp'], options);
+  assert.equal(input.buffer, 'northwest');
+  assert.deepEqual(type(input, ['Enter'], options), ['northwest']);
+});
+
+test('Backspace edits the buffer and is left alone when it is empty', () => {
+  const input = new OptionInput();
+  type(input, ['1'], NUMBERS);
+  assert.deepEqual(input.handleKey('Backspace', NUMBERS), { handled: true, commit: null });
+  assert.equal(input.buffer, '');
+  assert.deepEqual(input.handleKey('Backspace', NUMBERS), { handled: false, commit: null });
+  assert.deepEqual(input.handleKey('Shift', NUMBERS), { handled: false, commit: null });
+});
@@ -0,0 +1,47 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import {
+  addOutcome, createStats, drawOutcome, mergeStats, rankingOutcome, sharedWinOutcome, winOutcome,
+} from '../game/outcome.js';
+import { StartState } from '../game/ttt-game.js';
+
+test('every outcome splits one point', () => {
+  assert.deepEqual(winOutcome(2), { winners: [2], draw: false, ranking: [[2]], scores: { 2: 1 } });
+  assert.deepEqual(sharedWinOutcome([1, 3]).scores, { 1: 0.5, 3: 0.5 });
+  assert.deepEqual(drawOutcome([1, 2]), { winners: [], draw: true, ranking: [[1, 2]], scores: { 1: 0.5, 2: 0.5 } });
+
+  const ranked = rankingOutcome([[3], [1, 2]]);
+  assert.deepEqual(ranked.winners, [3]);
+  assert.deepEqual(ranked.ranking, [[3], [1, 2]]);
+  assert.deepEqual(ranked.scores, { 3: 1 });
+  assert.equal(rankingOutcome([[1, 2]]).draw, true);
+});
+
+test('stats count draws, shared wins and unfinished games', () => {
+  const a = createStats();
+  addOutcome(a, winOutcome(1));
+  addOutcome(a, drawOutcome([1, 2]));
+  const b = createStats();
+  addOutcome(b, sharedWinOutcome([1, 2]));
+  addOutcome(b, null);
+
+  const merged = mergeStats([a, b]);
+  assert.equal(merged.games, 4);
+  assert.equal(merged.draws, 1);
+  assert.equal(merged.unfinished, 1);
+  assert.deepEqual(merged.wins, { 1: 2, 2: 1 });
+  assert.deepEqual(merged.totalScores, { 1: 2, 2: 1 });
+  assert.deepEqual(merged.expectedScores, { 1: 0.5, 2: 0.25 });
+});
+
+test('a full tic-tac-toe board without a line is a draw', () => {
+  const engine = new Engine();
+  engine.initGame(new StartState());
+  // The last cell is the only option left, so the engine fills it.
+  for (const move of ['5', '1', '9', '3', '2', '8', '4', '6']) engine.transition(move);
+  assert.equal(engine.currentState, null);
+  assert.deepEqual(engine.stateHead?.outcome, drawOutcome([1, 2]));
+});
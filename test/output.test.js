@@ -0,0 +1,36 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { grid, heading, line, span, table, toText } from '../game/output.js';
+import { TextRenderer } from '../game/renderer.js';
+import { StartState } from '../game/ttt-game.js';
+
+test('blocks are drawn in ASCII', () => {
+  assert.equal(toText('plain'), 'plain');
+  assert.equal(toText(line('Player ', span('X', { player: 1, bold: true }), ' wins')), 'Player X wins');
+  assert.equal(toText(heading('Review')), 'Review\n======');
+  assert.equal(toText(heading('Moves', 2)), 'Moves\n-----');
+  assert.equal(toText(grid([['X', '.', 'O'], ['.', 'XX', '.']])), 'X .  O\n. XX .');
+  assert.equal(toText(table([['a', '10'], ['bcd', '2']], { header: ['name', 'n'] })),
+    'name  n\n----  --\na     10\nbcd   2');
+});
+
+test('clicking a board cell offers its option', () => {
+  const renderer = new TextRenderer();
+  const engine = new Engine(renderer);
+  engine.initGame(new StartState(), 1);
+  engine.transition('5');
+
+  const board = renderer.lines.map(printed => printed.output)
+    .filter(output => typeof output !== 'string' && output.type === 'grid').pop();
+  assert.ok(board && typeof board !== 'string' && board.type === 'grid');
+  assert.equal(toText(board), '. . .\n. X .\n. . .');
+  const cells = board.rows.flat().map(cell => (typeof cell === 'string' ? null : cell.option ?? null));
+  assert.deepEqual(cells, ['1', '2', '3', '4', null, '6', '7', '8', '9']);
+  assert.ok(renderer.options.includes('1'));
+
+  renderer.onChoose?.('1');
+  assert.deepEqual(engine.getMoveHistory(), ['5', '1']);
+});
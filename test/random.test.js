@@ -0,0 +1,82 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, runMonteCarlo, runOptionMonteCarlo } from '../game/engine.js';
+import { runMcts } from '../game/mcts.js';
+import { Random, deriveSeed } from '../game/random.js';
+import { StartState } from '../game/ttt-game.js';
+
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+
+// Every move rolls a die and keeps the total; the game ends after three rolls.
+class Roll {
+  getOptions() { return ['roll', 'pass']; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    const rolls = [...(context.get('rolls') || []), context.randInt(1, 6)];
+    context.set('rolls', rolls);
+    if (rolls.length < 3) return this;
+    context.setWinner(1);
+    return null;
+  }
+}
+
+class Start {
+  getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.setActivePlayer(1);
+    return new Roll();
+  }
+}
+
+/**
+ * @param {number} seed
+ * @param {number} count
+ */
+function draws(seed, count) {
+  const rng = new Random(seed);
+  return Array.from({ length: count }, () => rng.random());
+}
+
+test('a seed fixes the sequence, and derived seeds differ per index', () => {
+  assert.deepEqual(draws(42, 5), draws(42, 5));
+  assert.notDeepEqual(draws(42, 5), draws(43, 5));
+  assert.ok(draws(1, 100).every(x => x >= 0 && x < 1));
+  assert.equal(deriveSeed(42, 3), deriveSeed(42, 3));
+  assert.notEqual(deriveSeed(42, 0), deriveSeed(42, 1));
+});
+
+test('a seeded game replays its random numbers, also after an undo', () => {
+  const play = () => {
+    const engine = new Engine();
+    engine.initGame(new Start(), 7);
+    engine.transition('roll');
+    engine.transition('roll');
+    return engine;
+  };
+  const engine = play();
+  const rolls = engine.stateHead?.get('rolls');
+  assert.equal(engine.seed, 7);
+  assert.deepEqual(play().stateHead?.get('rolls'), rolls);
+
+  engine.recursiveUndo();
+  engine.transition('pass');
+  assert.deepEqual(engine.stateHead?.get('rolls'), rolls);
+});
+
+test('seeded simulations and searches repeat exactly', () => {
+  const engine = new Engine();
+  engine.initGame(new StartState(), 1);
+  engine.transition('5');
+
+  const stats = runMonteCarlo(engine, 200, { seed: 3 });
+  assert.equal(stats?.seed, 3);
+  assert.deepEqual(runMonteCarlo(engine, 200, { seed: 3 }), stats);
+  assert.deepEqual(runOptionMonteCarlo(engine, 20, { seed: 3 }), runOptionMonteCarlo(engine, 20, { seed: 3 }));
+
+  const search = runMcts(engine, { iterations: 500, seed: 9 });
+  assert.equal(search?.seed, 9);
+  assert.deepEqual(runMcts(engine, { iterations: 500, seed: 9 }), search);
+});
@@ -0,0 +1,63 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import {
+  RecordPlayer, createRecord, parseRecord, recordFromJson, recordFromNotation, recordToJson, recordToNotation,
+} from '../game/record.js';
+import { StartState } from '../game/ttt-game.js';
+
+test('records survive JSON and the compact notation', () => {
+  const engine = new Engine();
+  engine.initGame(new StartState(), 42);
+  for (const move of ['5', '1', '9']) engine.transition(move);
+  const record = createRecord(engine, 'ttt', { event: 'test' });
+  assert.deepEqual(record.moves, ['5', '1', '9']);
+  assert.equal(record.seed, 42);
+
+  assert.deepEqual(recordFromJson(recordToJson(record)), record);
+  assert.equal(recordToNotation(record), 'ttt@42:5,1,9');
+  assert.deepEqual(parseRecord('ttt@42:5,1,9'), { ...record, metadata: {} });
+
+  const odd = { ...record, moves: ['a,b', 'c d'] };
+  assert.equal(recordToNotation(odd), 'ttt@42:a%2Cb,c%20d');
+  assert.deepEqual(recordFromNotation(recordToNotation(odd)).moves, ['a,b', 'c d']);
+  assert.deepEqual(recordFromNotation('ttt@1:').moves, []);
+});
+
+test('malformed records are rejected', () => {
+  assert.throws(() => recordFromJson('{"format": "other"}'), /Not a game record/);
+  assert.throws(() => recordFromJson('{"format": "game-eval-record", "version": 2}'), /Unsupported record version: 2/);
+  const base = { format: 'game-eval-record', version: 1, game: 'ttt', seed: 1, moves: [] };
+  assert.throws(() => recordFromJson(JSON.stringify({ ...base, seed: -1 })), /no valid seed/);
+  assert.throws(() => recordFromJson(JSON.stringify({ ...base, moves: [5] })), /list of strings/);
+  assert.throws(() => recordFromNotation('ttt:5,1'), /Expected <game>@<seed>/);
+});
+
+test('RecordPlayer steps through a record and stops at illegal moves', async () => {
+  const engine = new Engine();
+  const record = { format: 'game-eval-record', version: 1, game: 'ttt', seed: 1, moves: ['5', '1', '9'], metadata: {} };
+  const player = new RecordPlayer(engine, record, () => new StartState());
+  await player.load();
+  assert.equal(player.position, 0);
+  assert.equal(await player.stepBack(), false);
+
+  await player.goTo(3);
+  assert.deepEqual(engine.getMoveHistory(), ['5', '1', '9']);
+  assert.equal(await player.stepForward(), false);
+  await player.goTo(1);
+  assert.deepEqual(engine.getMoveHistory(), ['5']);
+
+  // Leaving the record: stepping forward stops, going back returns to it.
+  engine.transition('2');
+  assert.equal(player.isOnRecord(), false);
+  assert.equal(await player.stepForward(), false);
+  await player.goTo(2);
+  assert.deepEqual(engine.getMoveHistory(), ['5', '1']);
+
+  const bad = new RecordPlayer(engine, { ...record, moves: ['5', '5'] }, () => new StartState());
+  await bad.load();
+  assert.equal(await bad.stepForward(), true);
+  await assert.rejects(bad.stepForward(), /Illegal move "5" at step 2/);
+});
@@ -0,0 +1,49 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { getGame, listGames, registerGame } from '../game/registry.js';
+
+/** @typedef {import('../game/registry.js').GameInfo} GameInfo */
+
+/**
+ * @param {string} id
+ * @returns {GameInfo}
+ */
+const info = (id) => ({
+  id,
+  title: 'Test',
+  description: 'A game for the registry tests.',
+  minPlayers: 1,
+  maxPlayers: 2,
+  createStartState: () => ({ getOptions: () => [], processOption: () => null }),
+});
+
+test('the built-in games are registered and start', () => {
+  assert.deepEqual(listGames().slice(0, 2).map(game => game.id), ['modulo', 'ttt']);
+  for (const game of listGames()) {
+    assert.match(game.module, /\.js$/);
+    const engine = new Engine();
+    engine.initGame(game.createStartState(), 1);
+    assert.ok(engine.currentState, `${game.id} is waiting for a move`);
+  }
+});
+
+test('games are looked up by the id used in ?game=', () => {
+  const ttt = getGame('ttt');
+  assert.equal(ttt?.title, 'Tic-Tac-Toe');
+  assert.equal(getGame(new URLSearchParams('?game=ttt').get('game') || ''), ttt);
+  assert.equal(getGame('chess'), null);
+  assert.equal(getGame(''), null);
+});
+
+test('ids must be unique and player counts valid', () => {
+  const game = registerGame(info('registry-test'), 'file:///registry-test.js');
+  assert.equal(getGame('registry-test'), game);
+  assert.throws(() => registerGame(info('registry-test'), 'file:///other.js'), /Game already registered: registry-test/);
+  assert.equal(getGame('registry-test')?.module, 'file:///registry-test.js');
+  assert.throws(() => registerGame({ ...info('registry-bad'), minPlayers: 3 }, 'file:///bad.js'),
+    /Invalid player counts for registry-bad/);
+  assert.equal(getGame('registry-bad'), null);
+});
@@ -0,0 +1,57 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { reviewGame } from '../game/review.js';
+import { StartState } from '../game/ttt-game.js';
+
+/**
+ * @param {string[]} moves
+ */
+function play(moves) {
+  const engine = new Engine();
+  engine.initGame(new StartState(), 1);
+  for (const move of moves) engine.transition(move);
+  return engine;
+}
+
+// O answers the center with an edge, which loses: X forks with 1 and 7.
+const LOST = ['5', '2', '1', '9', '7', '4', '3'];
+
+test('the solver marks the losing reply as a blunder', async () => {
+  const review = await reviewGame(play(LOST), { evaluator: 'solver' });
+  assert.deepEqual(review.moves.map(m => m.move), LOST);
+  assert.deepEqual(review.moves.map(m => m.annotation), ['good', 'blunder', 'good', 'good', 'good', 'good', 'good']);
+
+  const reply = review.moves[1];
+  assert.equal(reply.player, 2);
+  assert.equal(reply.value, 0);
+  assert.equal(reply.bestValue, 0.5);
+  assert.equal(reply.loss, 0.5);
+  assert.deepEqual(reply.bestOptions, ['1', '3', '7', '9']);
+
+  assert.deepEqual(review.graph[0], { 1: 0.5, 2: 0.5 });
+  assert.equal(review.graph[2][1], 1);
+  assert.equal(review.graph.length, LOST.length + 1);
+});
+
+test('stepping back still reviews the whole game', async () => {
+  const engine = play(LOST);
+  for (let i = 0; i < 3; i++) engine.recursiveUndo();
+  const review = await reviewGame(engine, { evaluator: 'solver' });
+  assert.deepEqual(review.moves.map(m => m.move), LOST);
+});
+
+test('a seeded Monte Carlo review repeats, and aborting stops it', async () => {
+  const engine = play(LOST);
+  const progress = [];
+  const review = await reviewGame(engine, { simulations: 50, seed: 4, onProgress: p => progress.push(p.done) });
+  assert.equal(review.seed, 4);
+  assert.deepEqual(progress, [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(await reviewGame(engine, { simulations: 50, seed: 4 }), review);
+
+  const controller = new AbortController();
+  controller.abort(new Error('stopped'));
+  await assert.rejects(reviewGame(engine, { signal: controller.signal }), /stopped/);
+});
@@ -0,0 +1,115 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, runMonteCarlo, runOptionMonteCarlo } from '../game/engine.js';
+import { runMonteCarloAsync } from '../game/sim-pool.js';
+
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+
+// Player 1 picks 'good' or 'bad' ten times; every 'good' is a point.  Playing
+// 'good' five times or more wins.  The hooks prefer 'good' and estimate the
+// result from the points so far.
+class Start {
+  getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.setActivePlayer(1);
+    return new Pick();
+  }
+}
+
+class Pick {
+  getOptions() { return ['good', 'bad']; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    const points = (context.get('points') ?? 0) + (input === 'good' ? 1 : 0);
+    const picks = (context.get('picks') ?? 0) + 1;
+    context.set('points', points);
+    context.set('picks', picks);
+    context.setActivePlayer(1);
+    if (picks < 10) return new Pick();
+    if (points >= 5) context.setWinner(1); else context.setWinner(2);
+    return null;
+  }
+  /** @param {string[]} options */
+  rolloutPolicy(options) { return options.map(option => option === 'good' ? 3 : 1); }
+  /** @param {GameContext} context */
+  evaluate(context) {
+    const share = Math.min(1, (context.get('points') ?? 0) / 5);
+    return { 1: share, 2: 1 - share };
+  }
+}
+
+const start = () => {
+  const engine = new Engine();
+  engine.initGame(new Start(), 1);
+  return engine;
+};
+
+test('the game\'s rollout policy weights the random games', () => {
+  const engine = start();
+  const weighted = runMonteCarlo(engine, 2000, { seed: 1 });
+  const uniform = runMonteCarlo(engine, 2000, { seed: 1, rolloutPolicy: null });
+  assert.ok(weighted && uniform);
+  assert.ok(weighted.wins[1] / weighted.games > 0.9, `weighted: ${weighted.wins[1]} wins`);
+  assert.ok(Math.abs(uniform.wins[1] / uniform.games - 0.62) < 0.05, `uniform: ${uniform.wins[1]} wins`);
+});
+
+test('a per-call policy may pick the option itself', () => {
+  const results = runOptionMonteCarlo(start(), 50, { seed: 1, rolloutPolicy: () => 'bad' });
+  assert.ok(results);
+  assert.equal(results.good.wins[2], 50);
+  assert.equal(results.bad.wins[2], 50);
+  assert.throws(() => runMonteCarlo(start(), 1, { rolloutPolicy: () => 'best' }), /"best", which is not an option/);
+});
+
+test('maxDepth cuts the games off and scores them with the evaluator', () => {
+  const engine = start();
+  engine.transition('good');
+  engine.transition('good');
+  const cut = runMonteCarlo(engine, 100, { seed: 1, maxDepth: 0 });
+  assert.ok(cut);
+  assert.equal(cut.evaluated, 100);
+  assert.ok(Math.abs(cut.expectedScores[1] - 0.4) < 1e-9);
+
+  const constant = runMonteCarlo(engine, 100, { seed: 1, maxDepth: 2, evaluate: () => ({ 1: 0.25, 2: 0.75 }) });
+  assert.ok(constant);
+  assert.deepEqual(constant.expectedScores, { 1: 0.25, 2: 0.75 });
+
+  const full = runMonteCarlo(engine, 100, { seed: 1, maxDepth: 2, evaluate: null });
+  assert.ok(full);
+  assert.equal(full.evaluated, 0);
+  assert.equal(full.unfinished, 0);
+});
+
+test('depth-limited games give the same results with and without history', () => {
+  const engine = start();
+  const options = { seed: 7, maxDepth: 4 };
+  assert.deepEqual(runMonteCarlo(engine, 200, { ...options, keepHistory: true }), runMonteCarlo(engine, 200, options));
+});
+
+test('the worker pool forwards maxDepth and refuses hook functions', async (t) => {
+  // Stands in for the browser's Worker: records the jobs and answers with no result.
+  /** @type {any[]} */
+  const jobs = [];
+  const previous = globalThis.Worker;
+  globalThis.Worker = /** @type {any} */ (class {
+    /** @param {any} message */
+    postMessage(message) {
+      jobs.push(message.job);
+      setTimeout(() => /** @type {any} */ (this).onmessage({ data: { result: null } }));
+    }
+    terminate() { }
+  });
+  t.after(() => { globalThis.Worker = previous; });
+
+  const options = { gameModule: 'unused', workers: 1, seed: 1 };
+  await runMonteCarloAsync(start(), 200, { ...options, maxDepth: 3, rolloutPolicy: null });
+  assert.equal(jobs.length, 2);
+  assert.deepEqual(jobs[0].rollout, { rolloutPolicy: null, evaluate: undefined, maxDepth: 3 });
+
+  await assert.rejects(
+    runMonteCarloAsync(start(), 200, { ...options, evaluate: /** @type {any} */ (() => ({ 1: 1 })) }),
+    /cannot send a rolloutPolicy or evaluate function to its workers/);
+});
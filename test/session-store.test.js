@@ -0,0 +1,59 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { replayRecord } from '../game/record.js';
+import { autoSave, loadSession } from '../game/session-store.js';
+import { GAME_INFO } from '../game/ttt-game.js';
+
+class MemoryStorage {
+  constructor() {
+    /** @type {Map<string, string>} */
+    this.items = new Map();
+  }
+  /** @param {string} key */
+  getItem(key) { return this.items.get(key) ?? null; }
+  /** @param {string} key @param {string} value */
+  setItem(key, value) { this.items.set(key, value); }
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('autoSave keeps the current line, and replayRecord restores it with its history', async () => {
+  const storage = new MemoryStorage();
+  const engine = new Engine();
+  autoSave(engine, () => 'ttt', storage);
+  engine.initGame(GAME_INFO.createStartState(), 42);
+  for (const move of ['5', '1', '9']) engine.transition(move);
+  engine.recursiveUndo();
+  engine.transition('3');
+  await settle();
+
+  const saved = loadSession(storage);
+  assert.ok(saved);
+  assert.equal(saved.game, 'ttt');
+  assert.equal(saved.seed, 42);
+  assert.deepEqual(saved.moves, ['5', '1', '3']);
+
+  const restored = new Engine();
+  await replayRecord(restored, saved, GAME_INFO.createStartState);
+  assert.deepEqual(restored.getMoveHistory(), ['5', '1', '3']);
+  assert.equal(restored.seed, 42);
+  restored.recursiveUndo();
+  assert.deepEqual(restored.getMoveHistory(), ['5', '1']);
+});
+
+test('loadSession ignores missing and unreadable sessions', () => {
+  const storage = new MemoryStorage();
+  assert.equal(loadSession(storage), null);
+  storage.setItem('game-eval-session', '{"format": "something else"}');
+  assert.equal(loadSession(storage), null);
+});
+
+test('replayRecord stops before an illegal move', async () => {
+  const engine = new Engine();
+  const record = { format: 'game-eval-record', version: 1, game: 'ttt', seed: 1, moves: ['5', '5', '1'], metadata: {} };
+  await assert.rejects(async () => replayRecord(engine, record, GAME_INFO.createStartState), /Illegal move "5" at step 2/);
+  assert.deepEqual(engine.getMoveHistory(), ['5']);
+});
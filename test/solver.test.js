@@ -0,0 +1,81 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { solve } from '../game/solver.js';
+import { StartState } from '../game/ttt-game.js';
+
+/** @typedef {import('../game/engine.js').GameContext} GameContext */
+/** @typedef {import('../game/solver.js').SolverResult} SolverResult */
+
+/**
+ * @param {import('../game/engine.js').GameState} start
+ * @param {string[]} moves
+ */
+function position(start, moves) {
+  const engine = new Engine();
+  engine.initGame(start, 1);
+  for (const move of moves) engine.transition(move);
+  return engine;
+}
+
+// Player 1 plays tic-tac-toe against player 2, or shares the point with a
+// third player, which only max^n can score.
+class Start {
+  getOptions() { return []; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    context.setActivePlayer(1);
+    return new Choose();
+  }
+}
+
+class Choose {
+  getOptions() { return ['ttt', 'trio']; }
+  /** @param {string} input @param {GameContext} context */
+  processOption(input, context) {
+    if (input === 'trio') {
+      context.setWinners([1, 2, 3]);
+      return null;
+    }
+    return new StartState();
+  }
+}
+
+test('tic-tac-toe is a draw, and a completed line wins', () => {
+  const start = solve(position(new StartState(), []));
+  assert.ok(start?.solved);
+  assert.equal(start.algorithm, 'alphabeta');
+  assert.deepEqual(start.position, { value: 0.5, scores: { 1: 0.5, 2: 0.5 } });
+
+  // X holds 1 and 2, O holds 4 and 5: only 3 wins, and anything else lets O
+  // complete 4-5-6.
+  const win = solve(position(new StartState(), ['1', '4', '2', '5']));
+  assert.ok(win?.solved);
+  assert.deepEqual(win.bestOptions, ['3']);
+  assert.equal(win.options['3'].value, 1);
+  assert.equal(win.options['9'].value, 0);
+});
+
+test('the search gives up once the node budget runs out', () => {
+  const result = solve(position(new StartState(), []), { maxNodes: 50 });
+  assert.equal(result?.solved, false);
+  assert.match(result?.reason ?? '', /gave up after 50 positions/);
+  assert.equal(result?.position, null);
+  assert.deepEqual(result?.bestOptions, []);
+});
+
+test('the max^n fallback counts the nodes alpha-beta spent', () => {
+  const engine = position(new Start(), []);
+  const full = solve(engine);
+  assert.ok(full?.solved);
+  assert.equal(full.algorithm, 'maxn');
+  assert.deepEqual(full.bestOptions, ['ttt']);
+
+  const maxN = /** @type {SolverResult} */ (solve(engine, { algorithm: 'maxn' })).nodes;
+  const alphaBeta = /** @type {SolverResult} */ (solve(position(new StartState(), []))).nodes;
+  const cut = solve(engine, { maxNodes: maxN + alphaBeta / 2 });
+  assert.equal(cut?.solved, false);
+  assert.equal(cut?.algorithm, 'maxn');
+});
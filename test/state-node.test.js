@@ -0,0 +1,73 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, RolloutNode, StateNode, playRandomGame, runMonteCarlo, runOptionMonteCarlo } from '../game/engine.js';
+import { runMcts } from '../game/mcts.js';
+import { Random } from '../game/random.js';
+import { StartState as ModuloStart } from '../game/modulo-game.js';
+import { StartState } from '../game/ttt-game.js';
+
+/**
+ * A chain of `length` nodes below `root`, each setting 'step'.
+ * @param {StateNode} root
+ * @param {number} length
+ */
+function chain(root, length) {
+  let node = root;
+  for (let i = 1; i <= length; i++) {
+    node = new StateNode(node, null);
+    node.set('step', i);
+  }
+  return node;
+}
+
+test('reads see through long histories and writes after a snapshot', () => {
+  const root = new StateNode(null, null);
+  root.set('start', 'here');
+  const deep = chain(root, 50);
+  assert.equal(deep.get('start'), 'here');
+  assert.equal(deep.get('step'), 50);
+  assert.equal(deep.get('missing'), undefined);
+
+  // The read above left a snapshot on `deep`; writes must reach it.
+  deep.set('start', 'moved');
+  assert.equal(deep.get('start'), 'moved');
+  assert.equal(deep.values().get('start'), 'moved');
+  assert.equal(chain(deep, 30).get('start'), 'moved');
+  assert.equal(root.get('start'), 'here');
+});
+
+test('a rollout node plays on a copy', () => {
+  const head = chain(new StateNode(null, null), 3);
+  head.activePlayer = 2;
+  const node = new RolloutNode(head);
+  node.set('step', 99);
+  node.step();
+  assert.equal(node.get('step'), 99);
+  assert.equal(node.lastActivePlayer(), 2);
+  assert.equal(head.get('step'), 3);
+});
+
+test('rollouts leave the position alone and match the rollouts with history', () => {
+  /** @type {[import('../game/engine.js').GameState, string[]][]} */
+  const positions = [[new StartState(), ['5']], [new ModuloStart(), ['3', '4']]];
+  for (const [start, setup] of positions) {
+    const engine = new Engine();
+    engine.initGame(start, 1);
+    for (const move of setup) engine.transition(move);
+    const head = /** @type {StateNode} */ (engine.stateHead);
+    const before = head.flatten();
+
+    const final = playRandomGame(head, engine.currentState, new Random(5));
+    assert.ok(final.outcome);
+    assert.deepEqual(head.flatten(), before);
+    assert.equal(head.children.length, 0);
+
+    assert.deepEqual(runMonteCarlo(engine, 100, { seed: 2 }), runMonteCarlo(engine, 100, { seed: 2, keepHistory: true }));
+    assert.deepEqual(runOptionMonteCarlo(engine, 10, { seed: 2 }),
+      runOptionMonteCarlo(engine, 10, { seed: 2, keepHistory: true }));
+    assert.deepEqual(runMcts(engine, { iterations: 200, seed: 2 }),
+      runMcts(engine, { iterations: 200, seed: 2, keepHistory: true }));
+  }
+});
@@ -0,0 +1,62 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, GameContext, getCanonicalKey, getStateKey, groupSymmetricOptions } from '../game/engine.js';
+import { solve } from '../game/solver.js';
+import { StartState } from '../game/ttt-game.js';
+
+/**
+ * @param {string[]} moves
+ */
+function position(moves) {
+  const engine = new Engine();
+  engine.initGame(new StartState(), 1);
+  for (const move of moves) engine.transition(move);
+  assert.ok(engine.currentState && engine.stateHead);
+  return { state: engine.currentState, context: new GameContext(engine.stateHead, () => { }) };
+}
+
+/**
+ * @param {string[]} moves
+ */
+function keys(moves) {
+  const { state, context } = position(moves);
+  return { key: getStateKey(state, context), canonical: getCanonicalKey(state, context) };
+}
+
+test('positions reached by different move orders share a key', () => {
+  assert.equal(keys(['1', '5', '9']).key, keys(['9', '5', '1']).key);
+  assert.notEqual(keys(['1', '5']).key, keys(['5', '1']).key);
+});
+
+test('rotations and reflections of a board share the canonical key', () => {
+  // A corner and the opposite edge, rotated and mirrored.
+  const corner = keys(['1', '8']);
+  for (const moves of [['3', '4'], ['9', '2'], ['7', '6']]) {
+    const other = keys(moves);
+    assert.notEqual(other.key, corner.key);
+    assert.equal(other.canonical, corner.canonical);
+  }
+  assert.notEqual(keys(['1', '2']).canonical, corner.canonical);
+});
+
+test('the empty board has three kinds of move', () => {
+  const { state, context } = position([]);
+  const groups = groupSymmetricOptions(state, context).map(group => [...group].sort());
+  assert.deepEqual(groups, [['1', '3', '7', '9'], ['2', '4', '6', '8'], ['5']]);
+
+  // After the center and a corner only the diagonal mirror is left.
+  const later = position(['5', '1']);
+  assert.deepEqual(groupSymmetricOptions(later.state, later.context),
+    [['2', '4'], ['3', '7'], ['6', '8'], ['9']]);
+});
+
+test('the solver reports every option of a symmetric group', () => {
+  const engine = new Engine();
+  engine.initGame(new StartState(), 1);
+  const result = solve(engine);
+  assert.ok(result?.solved);
+  assert.deepEqual(Object.keys(result.options).sort(), ['1', '2', '3', '4', '5', '6', '7', '8', '9']);
+  assert.equal(result.options['1'].value, result.options['9'].value);
+});
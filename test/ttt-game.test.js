@@ -0,0 +1,103 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertActivePlayer, assertDraw, assertNotFinished, assertOptions, assertPrinted, assertValue, assertWinner,
+  playScript,
+} from '../game/harness.js';
+import { StartState } from '../game/ttt-game.js';
+
+// Cells as players pick them, 1-9.
+const LINES = [
+  [1, 2, 3], [4, 5, 6], [7, 8, 9],
+  [1, 4, 7], [2, 5, 8], [3, 6, 9],
+  [1, 5, 9], [3, 5, 7],
+];
+
+/**
+ * Takes turns: `first` for the player who starts, `second` for the other.
+ * @param {number[]} first
+ * @param {number[]} second
+ * @returns {string[]}
+ */
+function alternate(first, second) {
+  const moves = [];
+  for (let i = 0; i < first.length; i++) {
+    moves.push(String(first[i]));
+    if (i < second.length) moves.push(String(second[i]));
+  }
+  return moves;
+}
+
+/**
+ * Three cells off `line` that do not make a line themselves.
+ * @param {number[]} line
+ * @returns {number[]}
+ */
+function harmlessCells(line) {
+  const free = [1, 2, 3, 4, 5, 6, 7, 8, 9].filter(cell => !line.includes(cell));
+  for (let a = 0; a < free.length; a++) {
+    for (let b = a + 1; b < free.length; b++) {
+      for (let c = b + 1; c < free.length; c++) {
+        const cells = [free[a], free[b], free[c]];
+        if (!LINES.some(l => l.every(cell => cells.includes(cell)))) return cells;
+      }
+    }
+  }
+  throw new Error(`No harmless cells off ${line}`);
+}
+
+test('starts with an empty board and X to move', () => {
+  const result = playScript(StartState, []);
+  assertActivePlayer(result, 1);
+  assertOptions(result, ['1', '2', '3', '4', '5', '6', '7', '8', '9']);
+  assertValue(result, 'board', Array(9).fill(null));
+  assertPrinted(result, 'Player 1 is X. Player 2 is O.');
+});
+
+test('taken cells are no longer options', () => {
+  const result = playScript(StartState, ['5', '1', '9']);
+  assertNotFinished(result);
+  assertActivePlayer(result, 2);
+  assertOptions(result, ['2', '3', '4', '6', '7', '8']);
+  assertValue(result, 'board', [2, null, null, null, 1, null, null, null, 1]);
+  assert.deepEqual(result.activePlayers, [1, 2, 1]);
+});
+
+for (const line of LINES) {
+  test(`X wins on ${line.join('-')}`, () => {
+    const result = playScript(StartState, alternate(line, harmlessCells(line).slice(0, 2)));
+    assertWinner(result, 1);
+    assertPrinted(result, 'Player 1 wins!');
+  });
+
+  test(`O wins on ${line.join('-')}`, () => {
+    const result = playScript(StartState, alternate(harmlessCells(line), line));
+    assertWinner(result, 2);
+    assertPrinted(result, 'Player 2 wins!');
+  });
+}
+
+test('a full board without a line is a draw', () => {
+  // The last free cell is the only option, so it is played automatically.
+  const result = playScript(StartState, ['5', '1', '9', '3', '2', '8', '4', '6']);
+  assertDraw(result);
+  assertValue(result, 'board', [2, 1, 2, 1, 1, 2, 1, 2, 1]);
+  assertPrinted(result, "It's a draw!");
+});
+
+test('a win on the last move is not a draw', () => {
+  // X gets the last free cell, 5, and with it 4-5-6.
+  const result = playScript(StartState, ['2', '1', '4', '3', '9', '7', '6', '8']);
+  assertValue(result, 'board', [2, 1, 2, 1, 1, 1, 2, 2, 1]);
+  assertWinner(result, 1);
+});
+
+test('rejects a taken cell', () => {
+  assert.throws(() => playScript(StartState, ['5', '5']), /Move 2 "5" is not an option/);
+});
+
+test('rejects moves after the game is over', () => {
+  assert.throws(() => playScript(StartState, ['1', '4', '2', '5', '3', '6']), /the game is over/);
+});
@@ -0,0 +1,70 @@
+//@ts-check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine } from '../game/engine.js';
+import { TextRenderer } from '../game/renderer.js';
+import { chosenChildren } from '../game/variation-tree.js';
+import { StartState } from '../game/ttt-game.js';
+
+/**
+ * @param {string[]} moves
+ */
+function play(moves) {
+  const engine = new Engine(new TextRenderer());
+  engine.initGame(new StartState(), 1);
+  for (const move of moves) engine.transition(move);
+  return engine;
+}
+
+test('undone moves are kept and replaying them re-enters the same node', () => {
+  const engine = play(['5', '1']);
+  const reply = engine.stateHead;
+  const renderer = /** @type {TextRenderer} */ (engine.renderer);
+  const text = renderer.getText();
+  engine.recursiveUndo();
+  assert.deepEqual(engine.getMoveHistory(), ['5']);
+
+  assert.equal(engine.redo(), true);
+  assert.equal(engine.stateHead, reply);
+  assert.equal(renderer.getText(), text);
+
+  engine.recursiveUndo();
+  engine.transition('1');
+  assert.equal(engine.stateHead, reply);
+});
+
+test('a different move after an undo becomes a sibling variation', () => {
+  const engine = play(['5', '1']);
+  const first = engine.stateHead;
+  engine.recursiveUndo();
+  engine.transition('9');
+  const second = engine.stateHead;
+  assert.ok(first?.parent);
+  assert.deepEqual(chosenChildren(first.parent).map(n => n.input), ['1', '9']);
+
+  assert.equal(engine.switchVariation(-1), true);
+  assert.deepEqual(engine.getMoveHistory(), ['5', '1']);
+  assert.equal(engine.switchVariation(-1), false);
+  assert.equal(engine.switchVariation(1), true);
+  assert.equal(engine.stateHead, second);
+
+  // Redo follows the line entered last.
+  engine.recursiveUndo();
+  engine.redo();
+  assert.deepEqual(engine.getMoveHistory(), ['5', '9']);
+});
+
+test('goToNode jumps across lines of the tree', () => {
+  const engine = play(['5', '1', '9']);
+  const deep = engine.stateHead;
+  engine.recursiveUndo();
+  engine.recursiveUndo();
+  engine.recursiveUndo();
+  engine.transition('1');
+  assert.deepEqual(engine.getMoveHistory(), ['1']);
+
+  engine.goToNode(/** @type {import('../game/engine.js').StateNode} */ (deep));
+  assert.deepEqual(engine.getMoveHistory(), ['5', '1', '9']);
+  assert.equal(engine.stateHead, deep);
+});